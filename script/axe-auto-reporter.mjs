@@ -7,38 +7,66 @@
 
 import { mkdir, readFile, writeFile } from 'fs/promises';
 import puppeteer from 'puppeteer';
-import { loadPage } from '@axe-core/puppeteer';
+import { AxePuppeteer } from '@axe-core/puppeteer';
 import AXELOCALES_JA from 'axe-core/locales/ja.json' with { type: 'json' };
 import path from 'path';
 import pLimit from 'p-limit';
 import { isIP } from 'net';
+import minimist from 'minimist';
 import config from './config.mjs';
 import { generateBaseFilename } from './utils/filename.mjs';
 import { REPORT_TRANSLATIONS } from '../shared/report-translations.js';
+import { isAllowedAuthUrl, listDisallowedAuthUrls, listMissingAuthEnv, validateAuthProfile } from '../shared/auth-profile.js';
+import { isValidUrl } from '../shared/url-list.js';
+import { resolveViewport } from '../shared/viewport-profiles.js';
+import { resolveScanScope } from '../shared/scan-scope.js';
+import {
+    createRunManifest,
+    isValidRunId,
+    RUN_FAILURES_FILENAME,
+    isProcessRunning,
+    readProcessStart,
+    markManifestUrl,
+    readRunFailures,
+    readRunManifest,
+    writeRunFailures,
+    writeRunManifest
+} from '../shared/run-manifest.js';
 
 
 /**
  * @typedef {Object} Viewport
+ * @property {string} mode - Mode name the results are stored under, e.g. `pc` or `mobile`
+ * @property {string} label - Display name
  * @property {number} width - Viewport width in pixels
  * @property {number} height - Viewport height in pixels
+ * @property {number} deviceScaleFactor - Device pixel ratio
+ * @property {boolean} isMobile - Whether the meta viewport tag is honoured
+ * @property {boolean} hasTouch - Whether touch events are supported
+ * @property {string} userAgent - User agent override (empty keeps the browser's own)
+ * @property {string} colorScheme - Emulated `prefers-color-scheme` (empty leaves it to the browser)
+ * @property {boolean} reducedMotion - Emulate `prefers-reduced-motion: reduce`
+ * @property {boolean} forcedColors - Emulate `forced-colors: active`
  */
 
 /**
- * Predefined viewport configurations for different device types
- * @type {Object.<string, Viewport>}
+ * @typedef {Object} AxeRunOptions
+ * @property {string[]} disabledRules - Rule ids that are never run
+ * @property {string[]} runOnly - Rule ids to run instead of the rules matching `tags`; empty uses the tags
+ * @property {string[]} resultTypes - Result types reported in full; empty reports all of them
+ * @property {boolean} iframes - Whether the contents of frames are tested
+ * @property {boolean} selectors - Whether CSS selectors are recorded for each node
  */
-const VIEWPORTS = {
-    PC: { width: 1024, height: 768 },
-    MOBILE: { width: 375, height: 812 }
-};
 
 /**
  * @typedef {Object} ProcessedConfiguration
  * @property {string} urlList - Path to the file containing URLs to test
  * @property {Object} localeData - Locale data for axe-core
  * @property {string[]} tags - Array of axe-core tags
+ * @property {AxeRunOptions} axeOptions - Rule selection and result options passed to axe
+ * @property {{include: string[], exclude: string[], patterns: Array<{pattern: string, include: string[], exclude: string[]}>}} scanScope - CSS selectors limiting the part of each page axe tests
  * @property {string} locale - Current locale setting
- * @property {Viewport} viewport - Viewport configuration
+ * @property {Viewport[]} viewports - Viewports every URL is tested in, in the order of the `modes` setting
  * @property {number} concurrency - Concurrency level
  * @property {boolean} enableConcurrency - Concurrency enabled flag
  * @property {string} screenshotFormat - Screenshot format
@@ -56,7 +84,7 @@ const VIEWPORTS = {
 /**
  * Processes and validates the configuration, adding derived properties
  * @returns {ProcessedConfiguration} Processed configuration object
- * @throws {Error} When invalid mode is specified
+ * @throws {Error} When an invalid mode is specified
  */
 const reportConfigure = () => {
     const newConfig = { ...config };
@@ -65,14 +93,14 @@ const reportConfigure = () => {
         newConfig.localeData = AXELOCALES_JA;
     }
 
-    if (newConfig.mode === 'pc') {
-        newConfig.viewport = VIEWPORTS.PC;
-    } else if (newConfig.mode === 'mobile') {
-        newConfig.viewport = VIEWPORTS.MOBILE;
-    } else {
-        console.error('\x1b[31mInvalid mode specified\x1b[0m');
+    const modes = Array.isArray(newConfig.modes) ? newConfig.modes : [];
+    const profiles = Array.isArray(newConfig.viewportProfiles) ? newConfig.viewportProfiles : [];
+    const invalidMode = modes.find((mode) => !resolveViewport(mode, profiles));
+    if (invalidMode !== undefined) {
+        console.error(`\x1b[31mInvalid mode specified: ${invalidMode}\x1b[0m`);
         throw new Error('Invalid mode specified');
     }
+    newConfig.viewports = modes.map((mode) => resolveViewport(mode, profiles));
 
     return newConfig;
 };
@@ -138,25 +166,6 @@ const ensureDirectoryExists = async (dir) => {
     await mkdir(dir, { recursive: true });
 };
 
-/**
- * Validates if a string is a valid URL
- * @param {any} url - URL to validate
- * @returns {boolean} True if valid URL, false otherwise
- */
-const isValidUrl = (url) => {
-    if (typeof url !== 'string') return false;
-    const trimmed = url.trim();
-    if (!trimmed || (!trimmed.startsWith('http://') && !trimmed.startsWith('https://'))) {
-        return false;
-    }
-    try {
-        new URL(trimmed);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
 /**
  * Checks if an IP address falls within a CIDR range (supports both IPv4 and IPv6)
  * @param {string} ip - IP address to check
@@ -326,8 +335,18 @@ const validateConfig = (config) => {
         errors.push('tags must be a non-empty array');
     }
 
-    if (!isValidString(config.mode)) {
-        errors.push('mode must be a non-empty string');
+    if (!Array.isArray(config.viewports) || config.viewports.length === 0) {
+        errors.push('modes must be a non-empty array');
+    }
+
+    const { axeOptions } = config;
+    if (
+        !axeOptions ||
+        !['disabledRules', 'runOnly', 'resultTypes'].every((key) => Array.isArray(axeOptions[key])) ||
+        typeof axeOptions.iframes !== 'boolean' ||
+        typeof axeOptions.selectors !== 'boolean'
+    ) {
+        errors.push('axeOptions must list disabledRules, runOnly and resultTypes and set iframes and selectors');
     }
 
     if (Object.hasOwn(config, 'concurrency') && !isValidNumber(config.concurrency, 1, 10)) {
@@ -366,6 +385,18 @@ const validateConfig = (config) => {
         errors.push('maxPageSize must be a number between 0 and 1GB');
     }
 
+    if (Object.hasOwn(config, 'maxRetries') && !(Number.isInteger(config.maxRetries) && isValidNumber(config.maxRetries, 0, 10))) {
+        errors.push('maxRetries must be an integer between 0 and 10');
+    }
+
+    if (Object.hasOwn(config, 'retryBaseDelay') && !isValidNumber(config.retryBaseDelay, 0, 60000)) {
+        errors.push('retryBaseDelay must be a number between 0 and 60000 milliseconds');
+    }
+
+    if (Object.hasOwn(config, 'retryMaxDelay') && !isValidNumber(config.retryMaxDelay, config.retryBaseDelay ?? 0, 300000)) {
+        errors.push('retryMaxDelay must be a number between retryBaseDelay and 300000 milliseconds');
+    }
+
     return errors;
 };
 
@@ -375,6 +406,232 @@ const validateConfig = (config) => {
  */
 const TRANSLATIONS = REPORT_TRANSLATIONS;
 
+/**
+ * Run ID passed with `--resume <runId>`; empty for a fresh run
+ * @type {string}
+ */
+const resumeRunId = (minimist(process.argv.slice(2), { string: ['resume'] }).resume ?? '').trim();
+
+/**
+ * Loads the manifest of an interrupted run so its remaining URLs can be processed in the same folder
+ * @async
+ * @param {string} outputDirectory - Directory that holds the run folders
+ * @param {string} runId - Run ID (folder name) to resume
+ * @param {string} projectId - Project the current configuration belongs to
+ * @returns {Promise<Object>} Run manifest
+ * @throws {Error} When the run ID is invalid, has no manifest, belongs to another project, or is still in progress
+ */
+const loadResumableManifest = async (outputDirectory, runId, projectId) => {
+    if (!isValidRunId(runId)) {
+        throw new Error(`Invalid run ID to resume: ${runId}`);
+    }
+
+    const manifest = await readRunManifest(path.join(outputDirectory, runId));
+    if (!manifest) {
+        throw new Error(`No run manifest found for ${runId}; the run cannot be resumed`);
+    }
+    if (manifest.projectId !== projectId) {
+        throw new Error(`Run ${runId} belongs to project "${manifest.projectId}", not "${projectId}"`);
+    }
+    if (manifest.status === 'running' && isProcessRunning(manifest.pid, manifest.processStart)) {
+        throw new Error(`Run ${runId} is still in progress (process ${manifest.pid})`);
+    }
+
+    return manifest;
+};
+
+/**
+ * Raised when a page answers with a server error or 429, so a page that is temporarily unavailable is retried instead
+ * of being tested as if it were the page
+ */
+class HttpStatusError extends Error {
+    /**
+     * @param {number} status - HTTP status code of the main document
+     * @param {string} [statusText=''] - HTTP status text
+     */
+    constructor(status, statusText = '') {
+        super(`HTTP ${status}${statusText ? ` ${statusText}` : ''}`);
+        this.name = 'HttpStatusError';
+        this.status = status;
+    }
+}
+
+/**
+ * Classifies a processing error for the failure records
+ * @param {Error} error - Error thrown while processing a URL
+ * @returns {'timeout'|'http'|'network'|'error'} Failure type
+ */
+const classifyFailure = (error) => {
+    if (error instanceof HttpStatusError) return 'http';
+    if (error?.name === 'TimeoutError') return 'timeout';
+    if (/net::ERR_|ECONNREFUSED|ECONNRESET|ENOTFOUND/.test(error?.message ?? '')) return 'network';
+    return 'error';
+};
+
+/**
+ * Tells whether an HTTP status means the server could not deliver the page for now
+ * @param {number} status - HTTP status code of the main document
+ * @returns {boolean} True for 5xx and 429
+ */
+const isUnavailableStatus = (status) => status >= 500 || status === 429;
+
+/**
+ * Tells whether another attempt may succeed: timeouts, connection errors, 5xx and 429 responses
+ * @param {Error} error - Error thrown while processing a URL
+ * @returns {boolean} True if the URL should be retried
+ */
+const isTransientFailure = (error) => {
+    if (error instanceof HttpStatusError) {
+        return isUnavailableStatus(error.status);
+    }
+    const type = classifyFailure(error);
+    return type === 'timeout' || type === 'network';
+};
+
+/**
+ * Calculates the wait before the next attempt with exponential backoff and jitter
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {number} baseDelay - Delay after the first attempt in milliseconds
+ * @param {number} maxDelay - Upper bound of the delay in milliseconds
+ * @returns {number} Delay in milliseconds, between half and all of the backoff
+ */
+const computeRetryDelay = (attempt, baseDelay, maxDelay) => {
+    const backoff = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+};
+
+/**
+ * Signs in through the login form in a throwaway page; the session cookies stay in the browser's shared cookie store
+ * @async
+ * @param {import('puppeteer').Browser} browser - Browser instance
+ * @param {Object} auth - Authentication profile of type `form`
+ * @param {string} username - User name read from the environment
+ * @param {string} password - Password read from the environment
+ * @param {number} navigationTimeout - Navigation timeout in milliseconds
+ * @returns {Promise<void>}
+ * @throws {Error} When the form cannot be filled in or the login does not succeed
+ */
+const loginWithForm = async (browser, auth, username, password, navigationTimeout) => {
+    const page = await browser.newPage();
+    try {
+        await page.setDefaultNavigationTimeout(navigationTimeout);
+        await page.setDefaultTimeout(navigationTimeout);
+        await page.goto(auth.loginUrl, { waitUntil: 'networkidle2' });
+        await page.waitForSelector(auth.usernameSelector);
+        await page.type(auth.usernameSelector, username);
+        await page.type(auth.passwordSelector, password);
+        await Promise.all([
+            page.waitForNavigation({ waitUntil: 'networkidle2' }).catch(() => null),
+            page.click(auth.submitSelector)
+        ]);
+
+        if (auth.successSelector) {
+            await page.waitForSelector(auth.successSelector);
+        } else if (await page.$(auth.passwordSelector)) {
+            throw new Error('the login form is still shown after submitting');
+        }
+    } catch (error) {
+        throw new Error(`Login failed: ${error.message}`);
+    } finally {
+        await page.close();
+    }
+};
+
+/**
+ * Applies the project's authentication profile to the browser.
+ * Form logins and cookies are set up once, so every page opened afterwards reuses the session.
+ * Basic credentials and extra headers have to be applied to each page, which the returned function does.
+ * Credentials only go to the profile's `allowedOrigins`, and a URL list with pages elsewhere is refused.
+ * @async
+ * @param {import('puppeteer').Browser} browser - Browser instance
+ * @param {Object} auth - Authentication profile from the project settings
+ * @param {string[]} urls - URLs to test
+ * @param {number} navigationTimeout - Navigation timeout in milliseconds
+ * @returns {Promise<function(import('puppeteer').Page, string): Promise<Array>>} Prepares a page for a URL and returns the event handlers it registered
+ * @throws {Error} When the profile is invalid, an environment variable is missing, a URL is outside the allowed origins or the login fails
+ */
+const prepareAuthentication = async (browser, auth, urls, navigationTimeout) => {
+    const preparePage = async () => [];
+    if (!auth || auth.type === 'none') {
+        return preparePage;
+    }
+
+    const profileErrors = validateAuthProfile(auth);
+    if (profileErrors.length > 0) {
+        throw new Error(`Invalid authentication profile: ${profileErrors.join(' ')}`);
+    }
+
+    const missingEnv = listMissingAuthEnv(auth, process.env);
+    if (missingEnv.length > 0) {
+        throw new Error(`Environment variables for authentication are not set: ${missingEnv.join(', ')}`);
+    }
+
+    const disallowedUrls = listDisallowedAuthUrls(auth, urls);
+    if (disallowedUrls.length > 0) {
+        throw new Error(`URLs outside the origins allowed to receive credentials (${auth.allowedOrigins.join(', ')}): ${disallowedUrls.join(', ')}`);
+    }
+
+    /**
+     * Adds headers to the page's requests for the allowed origins only, so credentials never reach third parties
+     * @param {Object<string, string>} headers - Header names in lower case and their values
+     * @returns {function(import('puppeteer').Page): Promise<Array>} Prepares a page and returns the event handlers it registered
+     */
+    const addHeadersForAllowedOrigins = (headers) => async (page) => {
+        const requestHandler = (request) => {
+            if (request.isInterceptResolutionHandled()) return;
+            request.continue(isAllowedAuthUrl(auth, request.url()) ? { headers: { ...request.headers(), ...headers } } : undefined);
+        };
+        await page.setRequestInterception(true);
+        page.on('request', requestHandler);
+        return [{ event: 'request', handler: requestHandler }];
+    };
+
+    switch (auth.type) {
+        case 'form': {
+            await loginWithForm(browser, auth, process.env[auth.usernameEnv], process.env[auth.passwordEnv], navigationTimeout);
+            console.log(`\x1b[32mAuthentication: logged in at ${auth.loginUrl}\x1b[0m`);
+            return preparePage;
+        }
+        case 'cookies': {
+            /**
+             * Without a cookie domain each allowed origin's host gets the cookies; https origins only over https
+             */
+            const targets = auth.cookieDomain
+                ? [{ domain: auth.cookieDomain, secure: false }]
+                : auth.allowedOrigins.map((origin) => {
+                    const { hostname, protocol } = new URL(origin);
+                    return { domain: hostname, secure: protocol === 'https:' };
+                });
+            await browser.setCookie(...targets.flatMap(({ domain, secure }) => auth.cookies.map(({ name, valueEnv }) => ({
+                name,
+                value: process.env[valueEnv],
+                domain,
+                path: '/',
+                secure
+            }))));
+            console.log(`\x1b[32mAuthentication: ${auth.cookies.length} cookie(s) set for ${targets.map(({ domain }) => domain).join(', ')}\x1b[0m`);
+            return preparePage;
+        }
+        case 'basic': {
+            /**
+             * Sent up front instead of answering challenges, which page.authenticate() would do for any origin
+             */
+            const token = Buffer.from(`${process.env[auth.usernameEnv]}:${process.env[auth.passwordEnv]}`).toString('base64');
+            console.log(`\x1b[32mAuthentication: HTTP Basic credentials enabled for ${auth.allowedOrigins.join(', ')}\x1b[0m`);
+            return addHeadersForAllowedOrigins({ authorization: `Basic ${token}` });
+        }
+        case 'headers': {
+            const headers = Object.fromEntries(
+                auth.headers.map(({ name, valueEnv }) => [name.toLowerCase(), process.env[valueEnv]])
+            );
+            console.log(`\x1b[32mAuthentication: ${auth.headers.length} extra header(s) for ${auth.allowedOrigins.join(', ')}\x1b[0m`);
+            return addHeadersForAllowedOrigins(headers);
+        }
+        default:
+            return preparePage;
+    }
+};
+
 try {
 
     const config = reportConfigure();
@@ -390,8 +647,10 @@ try {
         urlList,
         localeData,
         tags,
+        axeOptions,
+        scanScope,
         locale,
-        viewport,
+        viewports,
         concurrency,
         enableConcurrency,
         screenshotFormat,
@@ -405,7 +664,11 @@ try {
         enableSandbox,
         maxPageSize,
         maxConcurrentPerDomain,
-        delayBetweenRequests
+        delayBetweenRequests,
+        maxRetries = 0,
+        retryBaseDelay = 0,
+        retryMaxDelay = 0,
+        auth
     } = config;
 
     const impactMap = (TRANSLATIONS[locale] || TRANSLATIONS.en).impactData || {};
@@ -435,25 +698,38 @@ try {
 
     browser = await puppeteer.launch({
         headless: 'new',
-        defaultViewport: viewport,
+        defaultViewport: { width: viewports[0].width, height: viewports[0].height },
         args: launchArgs,
     });
 
-    if (!isValidString(urlList)) {
-        throw new Error('Invalid URL list file path provided');
-    }
+    let manifest = null;
+    let rawUrls = [];
+
+    if (resumeRunId) {
+        manifest = await loadResumableManifest(outputDirectory, resumeRunId, config.projectId);
+        manifest.pid = process.pid;
+        manifest.processStart = readProcessStart();
+        manifest.status = 'running';
+        await writeRunManifest(path.join(outputDirectory, resumeRunId), manifest);
+        rawUrls = manifest.urls.filter((entry) => entry.state !== 'done').map((entry) => entry.url);
+        console.log(`\x1b[36mResuming run ${resumeRunId}: ${manifest.urls.length - rawUrls.length}/${manifest.urls.length} URLs already completed\x1b[0m`);
+    } else {
+        if (!isValidString(urlList)) {
+            throw new Error('Invalid URL list file path provided');
+        }
 
-    const normalizedPath = path.resolve(urlList);
-    const currentDir = path.resolve('.');
-    const relativePath = path.relative(currentDir, normalizedPath);
-    const isOutsideWorkspace = relativePath.startsWith('..') || path.isAbsolute(relativePath);
+        const normalizedPath = path.resolve(urlList);
+        const currentDir = path.resolve('.');
+        const relativePath = path.relative(currentDir, normalizedPath);
+        const isOutsideWorkspace = relativePath.startsWith('..') || path.isAbsolute(relativePath);
 
-    if (isOutsideWorkspace) {
-        throw new Error('URL list file path must be within current directory');
-    }
+        if (isOutsideWorkspace) {
+            throw new Error('URL list file path must be within current directory');
+        }
 
-    const urlsContent = await readFile(urlList, 'utf-8');
-    const rawUrls = urlsContent.split('\n').filter(Boolean);
+        const urlsContent = await readFile(urlList, 'utf-8');
+        rawUrls = urlsContent.split('\n').filter(Boolean);
+    }
 
     const urls = [];
     const invalidUrls = [];
@@ -482,6 +758,15 @@ try {
         blockedUrls.forEach(url => console.warn(`  - ${url}`));
     }
 
+    if (urls.length === 0 && manifest) {
+        manifest.status = 'completed';
+        manifest.completedAt = new Date().toISOString();
+        await writeRunManifest(path.join(outputDirectory, resumeRunId), manifest);
+        console.log(`\x1b[32mNothing left to resume in run ${resumeRunId}.\x1b[0m`);
+        await cleanup();
+        process.exit(0);
+    }
+
     if (urls.length === 0) {
         throw new Error('No valid URLs found in the URL list file');
     }
@@ -506,10 +791,12 @@ try {
         console.log(`\x1b[32mSecurity: Page size limit set to ${Math.round(maxPageSize / 1024 / 1024)}MB\x1b[0m`);
     }
 
+    const preparePage = await prepareAuthentication(browser, auth, urls, navigationTimeout);
+
     await ensureDirectoryExists(outputDirectory);
 
     const now = new Date();
-    const dateTimeFolder = [
+    const dateTimeFolder = resumeRunId || [
         now.getFullYear(),
         String(now.getMonth() + 1).padStart(2, '0'),
         String(now.getDate()).padStart(2, '0')
@@ -525,14 +812,77 @@ try {
     const publicRunFolder = path.join(publicResultsBase, dateTimeFolder);
     const publicImagesFolder = path.join(publicRunFolder, 'images');
     const screenshotWebPath = `/results/${dateTimeFolder}/images`;
-    const directoryTasks = [ensureDirectoryExists(jsonFolder)];
+    /**
+     * Results are stored per viewport, e.g. `_json/mobile/<page>.json` and `images/mobile/<page>.webp`
+     */
+    const directoryTasks = viewports.map(({ mode }) => ensureDirectoryExists(path.join(jsonFolder, mode)));
     if (enableScreenshots) {
-        directoryTasks.push(ensureDirectoryExists(publicImagesFolder));
+        directoryTasks.push(...viewports.map(({ mode }) => ensureDirectoryExists(path.join(publicImagesFolder, mode))));
     }
     await Promise.all(directoryTasks);
 
+    if (!manifest) {
+        manifest = createRunManifest({ runId: dateTimeFolder, projectId: config.projectId, urls });
+        await writeRunManifest(folderName, manifest);
+    }
 
-    const processUrl = async (url, index, total) => {
+    /**
+     * Failure records keyed by URL; a resumed run starts from the records of the interrupted one
+     * @type {Map<string, Object>}
+     */
+    const failures = new Map(
+        (resumeRunId ? await readRunFailures(folderName) : []).map((failure) => [failure.url, failure])
+    );
+
+    /**
+     * Manifest writes are chained so concurrent workers never interleave them
+     * @type {Promise<void>}
+     */
+    let manifestWrite = Promise.resolve();
+
+    /**
+     * Records the outcome of one URL in the run manifest and the failure records
+     * @param {string} url - Processed URL
+     * @param {'done'|'failed'} state - Outcome of the URL
+     * @param {Object|null} [failure=null] - Failure record for failed URLs
+     * @returns {Promise<void>}
+     */
+    const recordUrlState = (url, state, failure = null) => {
+        manifestWrite = manifestWrite
+            .then(async () => {
+                markManifestUrl(manifest, url, state, failure?.message ?? null);
+                await writeRunManifest(folderName, manifest);
+
+                const hadFailure = failures.delete(url);
+                if (failure) {
+                    failures.set(url, failure);
+                }
+                if (failure || hadFailure) {
+                    await writeRunFailures(folderName, [...failures.values()]);
+                }
+            })
+            .catch((writeError) => {
+                console.warn('\x1b[33mWarning: Failed to update run manifest:\x1b[0m', writeError.message);
+            });
+        return manifestWrite;
+    };
+
+    /**
+     * Modes whose results are already saved, per URL, so a retry only repeats the viewports that failed
+     * @type {Map<string, Set<string>>}
+     */
+    const completedViewports = new Map();
+
+
+    /**
+     * Tests one URL once in every viewport
+     * @param {string} url - URL to process
+     * @param {number} index - Current index
+     * @param {number} total - Total number of URLs
+     * @param {number} [attempt=1] - Attempt number (1-based)
+     * @returns {Promise<Object>} Processing result; `retry` is true when a transient failure should be retried
+     */
+    const processUrl = async (url, index, total, attempt = 1) => {
         if (!isValidUrl(url)) {
             return { url, success: false, error: 'Invalid URL format' };
         }
@@ -541,58 +891,151 @@ try {
             return { url, success: false, error: 'Invalid index or total parameters' };
         }
 
+        const completed = completedViewports.get(url) ?? new Set();
+        completedViewports.set(url, completed);
+
         let page = null;
         let axeBuilder = null;
         let eventHandlers = [];
+        let httpStatus = null;
+        let currentMode = null;
+        const scope = resolveScanScope(scanScope, url);
 
         try {
-            ({ page, axeBuilder, eventHandlers } = await initializePage(url, index, total, browser, navigationTimeout, maxPageSize));
-
-            const screenshotBuffer = await captureScreenshot(
-                page,
-                enableScreenshots,
-                screenshotFormat,
-                screenshotQuality
-            );
-
-            const results = await runAccessibilityTest(axeBuilder, localeData, tags);
-
-            await saveResults({
-                runId: dateTimeFolder,
-                url,
-                results,
-                screenshotBuffer,
-                screenshotFormat,
-                locale,
-                jsonFolder,
-                publicImagesFolder,
-                screenshotWebPath,
-                jsonIndentation
-            });
-
-            await cleanupMemory(results, index);
+            console.log(`Processing ${index}/${total}: ${url}${attempt > 1 ? ` (attempt ${attempt}/${maxRetries + 1})` : ''}`);
+
+            for (const viewport of viewports) {
+                if (completed.has(viewport.mode)) continue;
+                currentMode = viewport.mode;
+
+                page = await browser.newPage();
+                ({ axeBuilder, eventHandlers, httpStatus } = await initializePage(page, url, viewport, navigationTimeout, maxPageSize));
+
+                const screenshotBuffer = await captureScreenshot(
+                    page,
+                    enableScreenshots,
+                    screenshotFormat,
+                    screenshotQuality
+                );
+
+                const results = await runAccessibilityTest(axeBuilder, localeData, tags, axeOptions, scope);
+
+                await saveResults({
+                    runId: dateTimeFolder,
+                    url,
+                    viewport,
+                    scope,
+                    attempts: attempt,
+                    httpStatus,
+                    results,
+                    screenshotBuffer,
+                    screenshotFormat,
+                    locale,
+                    jsonFolder: path.join(jsonFolder, viewport.mode),
+                    publicImagesFolder: path.join(publicImagesFolder, viewport.mode),
+                    screenshotWebPath: `${screenshotWebPath}/${viewport.mode}`,
+                    jsonIndentation
+                });
+
+                await cleanupMemory(results, index);
+                await safeCleanupPage(page, eventHandlers, index);
+                page = null;
+                eventHandlers = [];
+                completed.add(viewport.mode);
+            }
+
+            completedViewports.delete(url);
+            await recordUrlState(url, 'done');
 
             console.log(`\x1b[32mCompleted!\x1b[0m ${index}/${total}: ${url}`);
             return { url, success: true };
 
         } catch (error) {
+            const message = viewports.length > 1 && currentMode ? `[${currentMode}] ${error.message}` : error.message;
+            if (attempt <= maxRetries && isTransientFailure(error)) {
+                console.warn(`\x1b[33mAttempt ${attempt} failed:\x1b[0m ${url} (${message})`);
+                return { url, success: false, retry: true, error: message };
+            }
+
+            completedViewports.delete(url);
+            await recordUrlState(url, 'failed', {
+                url,
+                type: classifyFailure(error),
+                message,
+                httpStatus: error instanceof HttpStatusError ? error.status : httpStatus,
+                attempts: attempt,
+                failedAt: new Date().toISOString()
+            });
             return handleProcessingError(error, url);
         } finally {
             await safeCleanupPage(page, eventHandlers, index);
         }
     };
 
-    const initializePage = async (url, index, total, browser, navigationTimeout, maxPageSize) => {
-        console.log(`Processing ${index}/${total}: ${url}`);
+    /**
+     * Applies the device and media emulation of a viewport profile.
+     * Media features go through the DevTools protocol because `page.emulateMediaFeatures` rejects `forced-colors`.
+     * @param {import('puppeteer').Page} page - Page to configure before navigation
+     * @param {Viewport} viewport - Viewport profile
+     * @returns {Promise<void>}
+     */
+    const emulateViewport = async (page, viewport) => {
+        await page.setViewport({
+            width: viewport.width,
+            height: viewport.height,
+            deviceScaleFactor: viewport.deviceScaleFactor,
+            isMobile: viewport.isMobile,
+            hasTouch: viewport.hasTouch
+        });
 
-        const axeBuilder = await loadPage(browser, url.trim());
-        const page = axeBuilder.page;
+        if (viewport.userAgent) {
+            await page.setUserAgent(viewport.userAgent);
+        }
 
+        const features = [];
+        if (viewport.colorScheme) {
+            features.push({ name: 'prefers-color-scheme', value: viewport.colorScheme });
+        }
+        if (viewport.reducedMotion) {
+            features.push({ name: 'prefers-reduced-motion', value: 'reduce' });
+        }
+        if (viewport.forcedColors) {
+            features.push({ name: 'forced-colors', value: 'active' });
+        }
+        if (features.length > 0) {
+            const session = await page.createCDPSession();
+            await session.send('Emulation.setEmulatedMedia', { features });
+        }
+    };
+
+    /**
+     * Opens the URL in the given page and prepares axe for it
+     * @param {import('puppeteer').Page} page - Fresh page owned by the caller, which also closes it
+     * @param {string} url - URL to open
+     * @param {Viewport} viewport - Viewport profile to emulate while the page loads and is tested
+     * @param {number} navigationTimeout - Navigation timeout in milliseconds
+     * @param {number} maxPageSize - Page size limit in bytes (0 disables the check)
+     * @returns {Promise<{axeBuilder: AxePuppeteer, eventHandlers: Array, httpStatus: number|null}>}
+     * @throws {HttpStatusError} When the main document answers with a 5xx or 429 status. Other error statuses, such as
+     * a 404 page, are tested like any other page and only recorded in the result metadata.
+     */
+    const initializePage = async (page, url, viewport, navigationTimeout, maxPageSize) => {
         await page.setDefaultNavigationTimeout(navigationTimeout);
         await page.setDefaultTimeout(navigationTimeout);
         await page.setJavaScriptEnabled(true);
+        await page.setBypassCSP(true);
+        await emulateViewport(page, viewport);
+
+        const eventHandlers = await preparePage(page, url);
+
+        const response = await page.goto(url.trim());
+        const httpStatus = response ? response.status() : null;
+        if (httpStatus !== null && isUnavailableStatus(httpStatus)) {
+            throw new HttpStatusError(httpStatus, response.statusText());
+        }
+
+        const axeBuilder = new AxePuppeteer(page);
 
-        const eventHandlers = [];
         if (maxPageSize > 0) {
             const responseHandler = (response) => {
                 const contentLength = response.headers()['content-length'];
@@ -604,7 +1047,7 @@ try {
             eventHandlers.push({ event: 'response', handler: responseHandler });
         }
 
-        return { page, axeBuilder, eventHandlers };
+        return { axeBuilder, eventHandlers, httpStatus };
     };
 
     const captureScreenshot = async (page, enableScreenshots, screenshotFormat, screenshotQuality) => {
@@ -619,8 +1062,37 @@ try {
         return await page.screenshot(screenshotOptions);
     };
 
-    const runAccessibilityTest = async (axeBuilder, localeData, tags) => {
-        const results = await axeBuilder.configure({ locale: localeData }).withTags(tags).analyze();
+    /**
+     * Runs axe with the project's rule selection.
+     * Rules listed in `runOnly` replace the tag selection, which is also how experimental rules are turned on.
+     * @param {AxePuppeteer} axeBuilder - Builder attached to the loaded page
+     * @param {Object} localeData - Locale data for axe-core
+     * @param {string[]} tags - Tags selecting the rules when `runOnly` is empty
+     * @param {AxeRunOptions} axeOptions - Rule selection and result options
+     * @param {{include: string[], exclude: string[]}} scope - Selectors of the page regions to test and to skip; an empty include tests the whole page
+     * @returns {Promise<Object>} axe results
+     */
+    const runAccessibilityTest = async (axeBuilder, localeData, tags, axeOptions, scope) => {
+        const { disabledRules, runOnly, resultTypes, iframes, selectors } = axeOptions;
+        const runOptions = {
+            runOnly: runOnly.length > 0 ? { type: 'rule', values: runOnly } : { type: 'tag', values: tags },
+            iframes,
+            selectors,
+            ...(disabledRules.length > 0 && {
+                rules: Object.fromEntries(disabledRules.map((ruleId) => [ruleId, { enabled: false }]))
+            }),
+            ...(resultTypes.length > 0 && { resultTypes })
+        };
+
+        axeBuilder.configure({ locale: localeData }).options(runOptions);
+        // AxePuppeteer walks into frames on its own and does not read the `iframes` option, so frames are excluded instead.
+        if (!iframes) {
+            axeBuilder.disableFrame('iframe').disableFrame('frame');
+        }
+        scope.include.forEach((selector) => axeBuilder.include(selector));
+        scope.exclude.forEach((selector) => axeBuilder.exclude(selector));
+
+        const results = await axeBuilder.analyze();
 
         if (!results || typeof results !== 'object') {
             throw new Error('Invalid axe test results received');
@@ -632,6 +1104,10 @@ try {
     const saveResults = async ({
         runId,
         url,
+        viewport,
+        scope,
+        attempts,
+        httpStatus,
         results,
         screenshotBuffer,
         screenshotFormat,
@@ -659,8 +1135,12 @@ try {
         const metadata = {
             runId,
             baseFilename,
+            viewport,
+            scope,
             locale,
-            screenshotPath: screenshotRelativePath
+            screenshotPath: screenshotRelativePath,
+            attempts,
+            httpStatus
         };
 
         if (!results || typeof results !== 'object') {
@@ -764,9 +1244,10 @@ try {
      * @param {string} url - URL to process
      * @param {number} index - Current index
      * @param {number} total - Total number of URLs
+     * @param {number} [attempt=1] - Attempt number (1-based)
      * @returns {Promise<Object>} Processing result
      */
-    const processUrlWithRateLimit = async (url, index, total) => {
+    const processUrlWithRateLimit = async (url, index, total, attempt = 1) => {
         const domain = extractDomain(url);
         const queue = domainQueues.get(domain);
 
@@ -783,15 +1264,43 @@ try {
             }
 
             domainLastRequest.set(domain, Date.now());
-            return processUrl(url, index, total);
+            return processUrl(url, index, total, attempt);
         });
     };
 
+    /**
+     * Processes URL and retries transient failures after a backoff.
+     * Every attempt goes back through the domain queue, so retries keep the same rate limits as first attempts,
+     * and no queue slot is held while waiting.
+     * @param {string} url - URL to process
+     * @param {number} index - Current index
+     * @param {number} total - Total number of URLs
+     * @param {function(function(): Promise<Object>): Promise<Object>} [runAttempt] - Wraps each attempt, e.g. in the global limit
+     * @returns {Promise<Object>} Result of the last attempt
+     */
+    const processUrlWithRetry = async (url, index, total, runAttempt = (task) => task()) => {
+        let attempt = 1;
+        let result = await runAttempt(() => processUrlWithRateLimit(url, index, total, attempt));
+
+        while (result.retry) {
+            const delay = computeRetryDelay(attempt, retryBaseDelay, retryMaxDelay);
+            console.warn(`\x1b[33mRetrying in ${delay}ms:\x1b[0m ${url}`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            attempt += 1;
+            result = await runAttempt(() => processUrlWithRateLimit(url, index, total, attempt));
+        }
+
+        return result;
+    };
+
     /**
      * Run accessibility tests with domain-aware concurrency control
      */
     console.log(`\x1b[36mProcessing ${urls.length} URLs across ${urlsByDomain.size} domains\x1b[0m`);
     console.log(`\x1b[36mRate limiting: max ${maxConcurrentPerDomain} concurrent per domain, ${delayBetweenRequests}ms delay\x1b[0m`);
+    if (maxRetries > 0) {
+        console.log(`\x1b[36mRetries: up to ${maxRetries} per URL for timeouts, connection errors and 5xx responses\x1b[0m`);
+    }
 
     let results;
     if (enableConcurrency && urls.length > 1) {
@@ -802,7 +1311,7 @@ try {
 
         const globalLimit = pLimit(concurrency);
         const promises = urls.map((url, index) =>
-            globalLimit(() => processUrlWithRateLimit(url, index + 1, urls.length))
+            processUrlWithRetry(url, index + 1, urls.length, (task) => globalLimit(task))
         );
 
         results = await Promise.allSettled(promises);
@@ -812,7 +1321,7 @@ try {
          */
         const allResults = [];
         for (let i = 0; i < urls.length; i++) {
-            const result = await processUrlWithRateLimit(urls[i], i + 1, urls.length);
+            const result = await processUrlWithRetry(urls[i], i + 1, urls.length);
             allResults.push({ status: 'fulfilled', value: result });
         }
         results = allResults;
@@ -824,10 +1333,15 @@ try {
     const successful = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
     const failed = results.length - successful;
 
+    await manifestWrite;
+    manifest.status = 'completed';
+    manifest.completedAt = new Date().toISOString();
+    await writeRunManifest(folderName, manifest);
+
     console.log(`\x1b[32mProcessing completed!\x1b[0m`);
     console.log(`✅ Successful: ${successful}`);
     if (failed > 0) {
-        console.log(`❌ Failed: ${failed}`);
+        console.log(`❌ Failed: ${failed} (see ${path.join(folderName, RUN_FAILURES_FILENAME)})`);
     }
 
     await cleanup();
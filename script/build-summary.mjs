@@ -3,6 +3,11 @@ import path from 'path';
 import minimist from 'minimist';
 import config, { runtimeSettings } from './config.mjs';
 import { generateBaseFilename } from './utils/filename.mjs';
+import { toCronExpression } from '../shared/cron.js';
+import { readRunFailures } from '../shared/run-manifest.js';
+import { issuesFilenameFor, suppressionsFilenameFor } from '../shared/projects.js';
+import { createSuppressionMatcher } from '../shared/suppressions.js';
+import { applyRunToIssues, componentKeyFor, fingerprintNode } from '../shared/issues.js';
 
 const translations = {
     ja: {
@@ -106,6 +111,8 @@ const escapeHtml = unsafe => (
         .replace(/\n/g, '<br>')
 );
 
+const IMPACT_ORDER = ['minor', 'moderate', 'serious', 'critical'];
+
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const MAX_FILES = 1000;
 
@@ -148,6 +155,38 @@ const loadReportsIndex = async () => {
     }
 };
 
+const loadSuppressions = async (projectId) => {
+    try {
+        const raw = await fs.readFile(path.join(process.cwd(), 'data', suppressionsFilenameFor(projectId)), 'utf-8');
+        const parsed = JSON.parse(raw);
+        if (!parsed || !Array.isArray(parsed.suppressions)) {
+            return [];
+        }
+        return parsed.suppressions.filter((entry) => entry && typeof entry.id === 'string' && typeof entry.ruleId === 'string');
+    } catch {
+        return [];
+    }
+};
+
+const issueRegistryPath = (projectId) => path.join(process.cwd(), 'data', issuesFilenameFor(projectId));
+
+const loadIssueRegistry = async (projectId) => {
+    try {
+        const parsed = JSON.parse(await fs.readFile(issueRegistryPath(projectId), 'utf-8'));
+        if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.issues)) {
+            return { issues: [] };
+        }
+        return parsed;
+    } catch {
+        return { issues: [] };
+    }
+};
+
+const saveIssueRegistry = async (projectId, registry) => {
+    await fs.mkdir(path.dirname(issueRegistryPath(projectId)), { recursive: true });
+    await fs.writeFile(issueRegistryPath(projectId), JSON.stringify(registry, null, 2), 'utf-8');
+};
+
 const saveReportsIndex = async (index) => {
     await fs.mkdir(REPORTS_DIR, { recursive: true });
     await fs.writeFile(REPORTS_INDEX_PATH, JSON.stringify(index, null, 2), 'utf-8');
@@ -184,16 +223,28 @@ const buildSummary = async () => {
         process.exit(1);
     }
 
-    let files;
+    /**
+     * Results are stored in one directory per viewport (`_json/pc`, `_json/mobile`, ...).
+     * Files directly under `_json` come from runs made before that and have no viewport.
+     */
+    const jsonFiles = [];
     try {
-        files = await fs.readdir(jsonDir);
+        const entries = await fs.readdir(jsonDir, { withFileTypes: true });
+        for (const entry of entries) {
+            if (entry.isFile() && entry.name.endsWith('.json')) {
+                jsonFiles.push({ file: entry.name, viewport: null });
+            } else if (entry.isDirectory()) {
+                const viewportFiles = await fs.readdir(path.join(jsonDir, entry.name));
+                viewportFiles
+                    .filter(file => file.endsWith('.json'))
+                    .forEach(file => jsonFiles.push({ file: path.join(entry.name, file), viewport: entry.name }));
+            }
+        }
     } catch (err) {
         console.error(`Error: Failed to read directory ${jsonDir}.`, err);
         process.exit(1);
     }
 
-    const jsonFiles = files.filter(file => file.endsWith('.json'));
-
     if (jsonFiles.length === 0) {
         console.warn(`Warning: No JSON files found in ${jsonDir}.`);
     }
@@ -211,8 +262,25 @@ const buildSummary = async () => {
         critical: 0
     };
     const pageStats = [];
-
-    for (const file of jsonFiles) {
+    /**
+     * Suppressed nodes stay in the page results but are left out of every count. Expiry is checked against the
+     * run time, so rebuilding the summary of an old run gives the same totals.
+     */
+    const findSuppression = createSuppressionMatcher(await loadSuppressions(runtimeSettings.id), new Date(runTimestamp));
+    const matchedSuppressions = new Map();
+    let suppressedTotal = 0;
+    let incompleteTotal = 0;
+    // Fingerprints of the nodes found in this run, folded into the issue registry once every page is read.
+    const foundIssues = new Map();
+    const suppressedIssues = new Set();
+    // Per-rule totals across every page, for the summary by rule.
+    const ruleStats = new Map();
+    // Identical nodes grouped across pages, so an element repeated on every page counts as one unique issue.
+    const componentStats = new Map();
+    // Device and media settings each viewport was tested with, as the reporter recorded them.
+    const viewportProfiles = {};
+
+    for (const { file, viewport } of jsonFiles) {
         const filePath = path.join(jsonDir, file);
         let data;
         try {
@@ -231,6 +299,9 @@ const buildSummary = async () => {
 
         const url = data.url || translate('unknownUrl');
         const violations = data.violations || [];
+        // axe's "incomplete" results need a manual check; they are counted apart from the violations.
+        const incompleteCount = (Array.isArray(data.incomplete) ? data.incomplete : [])
+            .reduce((count, result) => count + (Array.isArray(result.nodes) ? result.nodes.length : 0), 0);
 
         const impactCounts = {
             minor: 0,
@@ -239,11 +310,65 @@ const buildSummary = async () => {
             critical: 0
         };
 
+        let suppressedCount = 0;
+        const ruleNodes = new Map();
+        const componentNodes = new Map();
+
         for (const violation of violations) {
             for (const node of violation.nodes) {
+                const suppression = findSuppression(url, violation.id, node);
+                const { fingerprint, ...identity } = fingerprintNode(url, violation.id, node);
+                if (suppression) {
+                    suppressedCount++;
+                    matchedSuppressions.set(suppression.id, suppression);
+                    suppressedIssues.add(fingerprint);
+                    continue;
+                }
+                if (!foundIssues.has(fingerprint)) {
+                    foundIssues.set(fingerprint, {
+                        ...identity,
+                        ruleId: violation.id,
+                        html: node.html,
+                        help: violation.help,
+                        impact: node.impact ?? violation.impact
+                    });
+                }
                 if (Object.hasOwn(impactCounts, node.impact)) {
                     impactCounts[node.impact]++;
                 }
+
+                ruleNodes.set(violation.id, (ruleNodes.get(violation.id) ?? 0) + 1);
+                const rule = ruleStats.get(violation.id) ?? {
+                    id: violation.id,
+                    help: violation.help ?? '',
+                    helpUrl: violation.helpUrl ?? '',
+                    tags: Array.isArray(violation.tags) ? violation.tags : [],
+                    impact: null,
+                    nodes: 0,
+                    urls: new Set(),
+                    affectedPages: []
+                };
+                const impact = node.impact ?? violation.impact;
+                if (IMPACT_ORDER.indexOf(impact) > IMPACT_ORDER.indexOf(rule.impact)) {
+                    rule.impact = impact;
+                }
+                ruleStats.set(violation.id, rule);
+
+                const { key, target } = componentKeyFor(violation.id, node);
+                componentNodes.set(key, (componentNodes.get(key) ?? 0) + 1);
+                if (!componentStats.has(key)) {
+                    componentStats.set(key, {
+                        key,
+                        ruleId: violation.id,
+                        help: violation.help ?? '',
+                        impact,
+                        target,
+                        html: node.html ?? '',
+                        nodes: 0,
+                        urls: new Set(),
+                        affectedPages: []
+                    });
+                }
             }
         }
 
@@ -269,19 +394,44 @@ const buildSummary = async () => {
             globalStats[impact] += impactCounts[impact];
         });
 
+        const recordedViewport = data.metadata?.viewport;
+        if (viewport && recordedViewport && typeof recordedViewport === 'object' && !Object.hasOwn(viewportProfiles, viewport)) {
+            viewportProfiles[viewport] = recordedViewport;
+        }
+
         const totalIssues = Object.values(impactCounts).reduce((a, b) => a + b, 0);
         pageStats.push({
             url,
             baseFilename,
+            viewport,
             ...impactCounts,
-            total: totalIssues
+            total: totalIssues,
+            suppressed: suppressedCount,
+            incomplete: incompleteCount,
+            httpStatus: Number.isInteger(data.metadata?.httpStatus) && data.metadata.httpStatus >= 400 ? data.metadata.httpStatus : null
         });
+        suppressedTotal += suppressedCount;
+        incompleteTotal += incompleteCount;
+
+        for (const [ruleId, nodes] of ruleNodes) {
+            const rule = ruleStats.get(ruleId);
+            rule.nodes += nodes;
+            rule.urls.add(url);
+            rule.affectedPages.push({ url, viewport, baseFilename, nodes });
+        }
+        for (const [key, nodes] of componentNodes) {
+            const component = componentStats.get(key);
+            component.nodes += nodes;
+            component.urls.add(url);
+            component.affectedPages.push({ url, viewport, baseFilename });
+        }
+        const detailPath = `/results/${runId}/${viewport ? `${viewport}/` : ''}${baseFilename}`;
 
         tableRows.push(`
         <tr data-minor="${impactCounts.minor}" data-moderate="${impactCounts.moderate}" data-serious="${impactCounts.serious}" data-critical="${impactCounts.critical}" data-total="${totalIssues}">
             <th scope="row">
                 <div class="report-link">
-                    <a href="/results/${escapeHtml(runId)}/${escapeHtml(baseFilename)}" title="${translate('linkToDetailReport').replace('{url}', escapeHtml(url))}" aria-label="${translate('linkToDetailReport').replace('{url}', escapeHtml(url))}">${escapeHtml(url)}</a>
+                    <a href="${escapeHtml(detailPath)}" title="${translate('linkToDetailReport').replace('{url}', escapeHtml(url))}" aria-label="${translate('linkToDetailReport').replace('{url}', escapeHtml(url))}">${escapeHtml(url)}</a>
                     <a class="report-link-ex" href="${escapeHtml(url)}" target="_blank" title="${translate('linkToActualPage').replace('{url}', escapeHtml(url))}" aria-label="${translate('linkToActualPage').replace('{url}', escapeHtml(url))}">
                         <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="report-link-ex-icon" aria-hidden="true">
                             <path stroke-linecap="round" stroke-linejoin="round" d="M13.5 6H5.25A2.25 2.25 0 0 0 3 8.25v10.5A2.25 2.25 0 0 0 5.25 21h10.5A2.25 2.25 0 0 0 18 18.75V10.5m-10.5 6L21 3m0 0h-5.25M21 3v5.25" />
@@ -298,8 +448,62 @@ const buildSummary = async () => {
         `);
     }
 
-    const totalPages = pageStats.length;
+    /**
+     * A URL counts once however many viewports it was tested in, and has an issue when any of its viewports has it.
+     * Issue totals add up the issues found in every viewport.
+     */
+    const urlStats = new Map();
+    const viewportTotals = {};
+    for (const page of pageStats) {
+        const stats = urlStats.get(page.url) ?? { minor: 0, moderate: 0, serious: 0, critical: 0, total: 0 };
+        for (const key of Object.keys(stats)) {
+            stats[key] = Math.max(stats[key], page[key]);
+        }
+        urlStats.set(page.url, stats);
+
+        if (page.viewport) {
+            const totals = viewportTotals[page.viewport] ?? { pages: 0, minor: 0, moderate: 0, serious: 0, critical: 0, total: 0 };
+            totals.pages++;
+            for (const key of ['minor', 'moderate', 'serious', 'critical', 'total']) {
+                totals[key] += page[key];
+            }
+            viewportTotals[page.viewport] = totals;
+        }
+    }
+    const viewports = (runtimeSettings.modes ?? []).filter(mode => Object.hasOwn(viewportTotals, mode));
+    Object.keys(viewportTotals).forEach(mode => {
+        if (!viewports.includes(mode)) viewports.push(mode);
+    });
+    pageStats.sort((a, b) => a.url.localeCompare(b.url) || viewports.indexOf(a.viewport) - viewports.indexOf(b.viewport));
+
+    /**
+     * Rules affecting the most elements come first. Each rule lists its affected pages worst first; `pages` counts
+     * URLs once however many viewports found the rule on them.
+     */
+    const rules = [...ruleStats.values()]
+        .map(({ urls, affectedPages, ...rule }) => ({
+            ...rule,
+            pages: urls.size,
+            affectedPages: affectedPages.sort((a, b) => b.nodes - a.nodes || a.url.localeCompare(b.url))
+        }))
+        .sort((a, b) => b.nodes - a.nodes || b.pages - a.pages || a.id.localeCompare(b.id));
+
+    /**
+     * Only groups found on more than one URL are listed as shared components, the most widespread first; every group
+     * counts towards `uniqueTotal`.
+     */
+    const sharedComponents = [...componentStats.values()]
+        .filter(({ urls }) => urls.size > 1)
+        .map(({ urls, affectedPages, ...component }) => ({
+            ...component,
+            pages: urls.size,
+            affectedPages: affectedPages.sort((a, b) => a.url.localeCompare(b.url))
+        }))
+        .sort((a, b) => b.pages - a.pages || b.nodes - a.nodes || a.ruleId.localeCompare(b.ruleId));
+
+    const totalPages = urlStats.size;
     const globalTotal = Object.values(globalStats).reduce((a, b) => a + b, 0);
+    const uniqueTotal = componentStats.size;
 
     const issueOccurrenceRates = {
         minor: 0,
@@ -316,7 +520,7 @@ const buildSummary = async () => {
         let pagesWithCritical = 0;
         let pagesWithAnyIssue = 0;
 
-        pageStats.forEach(page => {
+        urlStats.forEach(page => {
             if (page.minor > 0) pagesWithMinor++;
             if (page.moderate > 0) pagesWithModerate++;
             if (page.serious > 0) pagesWithSerious++;
@@ -528,6 +732,25 @@ const buildSummary = async () => {
 
     const generatedAt = new Date().toISOString();
     const resultsRelativePath = path.relative(process.cwd(), normalizedBasePath);
+    const testedUrls = new Set(pageStats.map((page) => page.url));
+    const failedPages = (await readRunFailures(normalizedBasePath)).filter((failure) => !testedUrls.has(failure.url));
+
+    if (failedPages.length > 0) {
+        console.warn(`Warning: ${failedPages.length} page(s) could not be tested in this run.`);
+    }
+
+    try {
+        const registry = applyRunToIssues(await loadIssueRegistry(runtimeSettings.id), {
+            runId,
+            runAt: runTimestamp,
+            testedUrls,
+            found: foundIssues,
+            ignored: suppressedIssues
+        });
+        await saveIssueRegistry(runtimeSettings.id, registry);
+    } catch (error) {
+        console.error('Error: Failed to update the issue registry.', error);
+    }
 
     const summaryData = {
         runId,
@@ -536,15 +759,30 @@ const buildSummary = async () => {
         resultsDir: resultsRelativePath,
         totalPages,
         globalTotal,
+        uniqueTotal,
         totals: { ...globalStats },
         occurrenceRates: { ...issueOccurrenceRates },
+        viewports,
+        viewportTotals,
+        viewportProfiles,
         pages: pageStats,
+        failedPages,
+        rules,
+        sharedComponents,
+        suppressedTotal,
+        incompleteTotal,
+        suppressions: [...matchedSuppressions.values()],
         settings: {
+            projectId: runtimeSettings.id,
+            projectName: runtimeSettings.name,
             sitemapUrl: runtimeSettings.sitemapUrl,
             tags: runtimeSettings.tags,
-            mode: runtimeSettings.mode,
+            modes: runtimeSettings.modes,
+            scope: runtimeSettings.scope,
+            axe: runtimeSettings.axe,
             maxPages: runtimeSettings.maxPages,
-            frequency: runtimeSettings.frequency ?? 'daily'
+            schedule: toCronExpression(runtimeSettings.schedule),
+            timezone: runtimeSettings.timezone
         }
     };
 
@@ -574,17 +812,23 @@ const buildSummary = async () => {
 
     const indexEntry = {
         runId,
+        projectId: summaryData.settings.projectId,
         runTimestamp,
         generatedAt,
         summaryJson: path.relative(process.cwd(), summaryJsonPath),
         summaryHtml: '',
         resultsDir: resultsRelativePath,
         totalPages,
+        failedPageCount: failedPages.length,
         globalTotal,
+        uniqueTotal,
+        totals: { ...globalStats },
+        occurrenceRates: { ...issueOccurrenceRates },
         tags: summaryData.settings.tags,
-        mode: summaryData.settings.mode,
+        modes: summaryData.settings.modes,
         maxPages: summaryData.settings.maxPages,
-        frequency: summaryData.settings.frequency
+        schedule: summaryData.settings.schedule,
+        timezone: summaryData.settings.timezone
     };
 
     const index = await loadReportsIndex();
@@ -1,26 +1,54 @@
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import path from 'node:path';
+import minimist from 'minimist';
 import {
     DEFAULT_SETTINGS,
-    ALLOWED_MODES,
     ALLOWED_TAGS,
     MAX_PAGE_LIMIT,
-    ALLOWED_FREQUENCIES
+    DISCOVERY_MODES,
+    CRAWL_DEPTH_LIMIT,
+    MAX_SEED_URLS,
+    URL_ORDERS,
+    SAMPLE_PER_TEMPLATE_LIMIT
 } from '../shared/default-settings.js';
+import { normalizeSchedule, normalizeTimeZone, validateSchedule } from '../shared/cron.js';
+import { normalizeAuthProfile } from '../shared/auth-profile.js';
+import { normalizeAxeOptions, validateAxeOptions } from '../shared/axe-rules.js';
+import { normalizeScanScope, validateScanScope } from '../shared/scan-scope.js';
+import { normalizeUrlPatterns } from '../shared/url-selection.js';
+import { isValidUrl } from '../shared/url-list.js';
+import { listViewportModes, normalizeViewportProfiles, validateViewportProfiles } from '../shared/viewport-profiles.js';
+import {
+    DEFAULT_PROJECT_ID,
+    DEFAULT_PROJECT_NAME,
+    isValidProjectId,
+    resolveProjectId,
+    toProjectList,
+    urlListFilenameFor,
+    urlListOverridesFilenameFor
+} from '../shared/projects.js';
 
 const ROOT_DIR = path.resolve(process.cwd());
 const DATA_DIR = path.join(ROOT_DIR, 'data');
 const SETTINGS_PATH = path.join(DATA_DIR, 'settings.json');
-const URL_LIST_PATH = path.join(DATA_DIR, 'url-list.txt');
+
+const cliArgs = minimist(process.argv.slice(2), { string: ['project'] });
+const PROJECT_ID = resolveProjectId(cliArgs.project);
+const URL_LIST_PATH = path.join(DATA_DIR, urlListFilenameFor(PROJECT_ID));
+const URL_LIST_OVERRIDES_PATH = path.join(DATA_DIR, urlListOverridesFilenameFor(PROJECT_ID));
 
 const ensureSettingsFile = async () => {
     if (!existsSync(DATA_DIR)) {
         await mkdir(DATA_DIR, { recursive: true });
     }
     if (!existsSync(SETTINGS_PATH)) {
-        await writeFile(SETTINGS_PATH, JSON.stringify(DEFAULT_SETTINGS, null, 2), 'utf-8');
+        const initial = { projects: [{ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, ...DEFAULT_SETTINGS }] };
+        await writeFile(SETTINGS_PATH, JSON.stringify(initial, null, 2), 'utf-8');
     }
+};
+
+const ensureUrlListFile = async () => {
     if (!existsSync(URL_LIST_PATH)) {
         await writeFile(URL_LIST_PATH, '', 'utf-8');
     }
@@ -28,11 +56,37 @@ const ensureSettingsFile = async () => {
 
 const normalizeSettings = (raw) => {
     if (!raw || typeof raw !== 'object') {
-        return { ...DEFAULT_SETTINGS };
+        return { id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, ...DEFAULT_SETTINGS };
     }
 
+    const id = isValidProjectId(raw.id) ? raw.id : DEFAULT_PROJECT_ID;
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : id;
+
     const sitemapUrl = typeof raw.sitemapUrl === 'string' ? raw.sitemapUrl.trim() : DEFAULT_SETTINGS.sitemapUrl;
 
+    const discovery = typeof raw.discovery === 'string' && DISCOVERY_MODES.includes(raw.discovery.trim().toLowerCase())
+        ? raw.discovery.trim().toLowerCase()
+        : DEFAULT_SETTINGS.discovery;
+
+    const seedUrls = Array.isArray(raw.seedUrls)
+        ? [...new Set(raw.seedUrls.filter(seed => typeof seed === 'string').map(seed => seed.trim()).filter(isValidUrl))]
+            .slice(0, MAX_SEED_URLS)
+        : [];
+
+    const rawCrawlDepth = Number.parseInt(String(raw.crawlDepth ?? DEFAULT_SETTINGS.crawlDepth), 10);
+    const crawlDepth = Number.isFinite(rawCrawlDepth)
+        ? Math.min(Math.max(rawCrawlDepth, CRAWL_DEPTH_LIMIT.min), CRAWL_DEPTH_LIMIT.max)
+        : DEFAULT_SETTINGS.crawlDepth;
+
+    const urlOrder = typeof raw.urlOrder === 'string' && URL_ORDERS.includes(raw.urlOrder.trim().toLowerCase())
+        ? raw.urlOrder.trim().toLowerCase()
+        : DEFAULT_SETTINGS.urlOrder;
+
+    const rawSample = Number.parseInt(String(raw.samplePerTemplate ?? DEFAULT_SETTINGS.samplePerTemplate), 10);
+    const samplePerTemplate = Number.isFinite(rawSample)
+        ? Math.min(Math.max(rawSample, SAMPLE_PER_TEMPLATE_LIMIT.min), SAMPLE_PER_TEMPLATE_LIMIT.max)
+        : DEFAULT_SETTINGS.samplePerTemplate;
+
     let tags = [];
     if (Array.isArray(raw.tags) && raw.tags.length > 0) {
         tags = raw.tags
@@ -49,47 +103,113 @@ const normalizeSettings = (raw) => {
         tags = [...DEFAULT_SETTINGS.tags];
     }
 
-    const mode = typeof raw.mode === 'string' && ALLOWED_MODES.includes(raw.mode.trim().toLowerCase())
-        ? raw.mode.trim().toLowerCase()
-        : DEFAULT_SETTINGS.mode;
+    let viewportProfiles = normalizeViewportProfiles(raw.viewportProfiles);
+    if (validateViewportProfiles(viewportProfiles).length > 0) {
+        viewportProfiles = [];
+    }
+
+    const viewportModes = listViewportModes(viewportProfiles);
+    const rawModes = Array.isArray(raw.modes) ? raw.modes : [raw.mode];
+    let modes = [...new Set(rawModes
+        .filter(mode => typeof mode === 'string')
+        .map(mode => mode.trim().toLowerCase())
+        .filter(mode => viewportModes.includes(mode)))];
+    if (modes.length === 0) {
+        modes = [...DEFAULT_SETTINGS.modes];
+    }
 
     const rawMaxPages = Number.parseInt(String(raw.maxPages ?? DEFAULT_SETTINGS.maxPages), 10);
     const maxPages = Number.isFinite(rawMaxPages)
         ? Math.min(Math.max(rawMaxPages, MAX_PAGE_LIMIT.min), MAX_PAGE_LIMIT.max)
         : DEFAULT_SETTINGS.maxPages;
 
-    const rawFrequency =
-        typeof raw.frequency === 'string' ? raw.frequency.trim().toLowerCase() : DEFAULT_SETTINGS.frequency;
-    const frequency = ALLOWED_FREQUENCIES.includes(rawFrequency) ? rawFrequency : DEFAULT_SETTINGS.frequency;
+    let scope = normalizeScanScope(raw.scope);
+    if (validateScanScope(scope).length > 0) {
+        scope = normalizeScanScope(null);
+    }
+
+    let axe = normalizeAxeOptions(raw.axe);
+    if (validateAxeOptions(axe).length > 0) {
+        axe = normalizeAxeOptions(null);
+    }
+
+    let schedule = normalizeSchedule(raw.schedule, raw.frequency);
+    let timezone = normalizeTimeZone(raw.timezone);
+    if (validateSchedule(schedule, timezone).length > 0) {
+        schedule = { ...DEFAULT_SETTINGS.schedule };
+        timezone = DEFAULT_SETTINGS.timezone;
+    }
 
     return {
+        id,
+        name,
         sitemapUrl,
+        discovery,
+        seedUrls,
+        crawlDepth,
+        includePatterns: normalizeUrlPatterns(raw.includePatterns),
+        excludePatterns: normalizeUrlPatterns(raw.excludePatterns),
+        urlOrder,
+        samplePerTemplate,
         tags,
-        mode,
+        modes,
+        viewportProfiles,
         maxPages,
-        frequency
+        schedule,
+        timezone,
+        scope,
+        axe,
+        auth: normalizeAuthProfile(raw.auth)
     };
 };
 
-const readSettings = async () => {
+/**
+ * A settings file that is not valid JSON stops the run rather than silently testing the default project.
+ */
+const readProjects = async () => {
+    const fileContent = await readFile(SETTINGS_PATH, 'utf-8');
+    let parsed;
     try {
-        const fileContent = await readFile(SETTINGS_PATH, 'utf-8');
-        const parsed = JSON.parse(fileContent);
-        return normalizeSettings(parsed);
+        parsed = JSON.parse(fileContent);
     } catch (error) {
-        return { ...DEFAULT_SETTINGS };
+        throw new Error(`${SETTINGS_PATH} is not valid JSON: ${error.message}`);
     }
+    const projects = toProjectList(parsed).map(normalizeSettings);
+    return projects.length > 0 ? projects : [normalizeSettings(null)];
 };
 
-await ensureSettingsFile();
-const settings = await readSettings();
+const readSettings = async (projectId = PROJECT_ID) => {
+    const projects = await readProjects();
+    const project = projects.find((entry) => entry.id === projectId);
+    if (!project) {
+        throw new Error(`Project not found: ${projectId}`);
+    }
+    return project;
+};
+
+let settings;
+try {
+    await ensureSettingsFile();
+    settings = await readSettings();
+} catch (error) {
+    // Every script imports this module first, so an unknown `--project` ends the process here with a readable message.
+    console.error('\x1b[31mFailed to load settings:\x1b[0m', error.message);
+    process.exit(1);
+}
+await ensureUrlListFile();
 
 const config = {
+    projectId: settings.id,
     urlList: URL_LIST_PATH,
     locale: 'ja',
     tags: settings.tags,
-    mode: settings.mode,
-    frequency: settings.frequency,
+    modes: settings.modes,
+    viewportProfiles: settings.viewportProfiles,
+    schedule: settings.schedule,
+    timezone: settings.timezone,
+    scanScope: settings.scope,
+    axeOptions: settings.axe,
+    auth: settings.auth,
     concurrency: 4,
     enableConcurrency: true,
     screenshotFormat: 'webp',
@@ -103,8 +223,18 @@ const config = {
     enableSandbox: true,
     maxPageSize: 8 * 1024 * 1024,
     maxConcurrentPerDomain: 2,
-    delayBetweenRequests: 1000
+    delayBetweenRequests: 1000,
+    maxRetries: 2,
+    retryBaseDelay: 2000,
+    retryMaxDelay: 30000
 };
 
 export default config;
-export { settings as runtimeSettings, URL_LIST_PATH, SETTINGS_PATH, readSettings as loadSettings };
+export {
+    settings as runtimeSettings,
+    URL_LIST_PATH,
+    URL_LIST_OVERRIDES_PATH,
+    SETTINGS_PATH,
+    readSettings as loadSettings,
+    readProjects as loadProjects
+};
@@ -1,7 +1,11 @@
-import { writeFile } from 'node:fs/promises';
+import { readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
+import { gunzipSync } from 'node:zlib';
 import { XMLParser } from 'fast-xml-parser';
-import { runtimeSettings, URL_LIST_PATH } from './config.mjs';
+import { runtimeSettings, URL_LIST_PATH, URL_LIST_OVERRIDES_PATH } from './config.mjs';
+import { crawlSite } from './utils/crawler.mjs';
+import { createUrlFilter, selectUrls } from '../shared/url-selection.js';
+import { isValidUrl, mergeUrlList, normalizeUrlListOverrides } from '../shared/url-list.js';
 
 const parser = new XMLParser({
     ignoreAttributes: false,
@@ -9,6 +13,14 @@ const parser = new XMLParser({
     allowBooleanAttributes: true
 });
 
+// Upper bound on entries read when the whole sitemap has to be seen before choosing (50,000 is the per-file limit of the sitemaps protocol).
+const MAX_SITEMAP_ENTRIES = 50000;
+
+// The sitemaps protocol caps an uncompressed sitemap at 50MB, which also bounds what a .gz file may expand to.
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const SITEMAP_DIRECTIVE_PATTERN = /^\s*sitemap\s*:\s*(\S+)/i;
+
 const visitedSitemaps = new Set();
 
 const normalizeToArray = (value) => {
@@ -16,20 +28,6 @@ const normalizeToArray = (value) => {
     return Array.isArray(value) ? value : [value];
 };
 
-const isHttpUrl = (value) => {
-    if (typeof value !== 'string') return false;
-    const trimmed = value.trim();
-    if (!trimmed || (!trimmed.startsWith('http://') && !trimmed.startsWith('https://'))) {
-        return false;
-    }
-    try {
-        new URL(trimmed);
-        return true;
-    } catch {
-        return false;
-    }
-};
-
 const extractLocation = (entry) => {
     if (!entry) return null;
     if (typeof entry === 'string') return entry.trim();
@@ -38,14 +36,24 @@ const extractLocation = (entry) => {
     return null;
 };
 
+const isGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
 const fetchSitemap = async (url) => {
     const response = await fetch(url, { redirect: 'follow' });
     if (!response.ok) {
         throw new Error(`Failed to fetch sitemap: ${url} (${response.status})`);
     }
-    return await response.text();
+    // fetch already undoes Content-Encoding: gzip, so only files such as sitemap.xml.gz still arrive compressed.
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const content = isGzip(buffer) ? gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }) : buffer;
+    return content.toString('utf-8').replace(/^\uFEFF/, '');
 };
 
+/**
+ * Plain-text sitemaps list one URL per line and are the only format that does not start with markup.
+ */
+const isTextSitemap = (content) => !content.trimStart().startsWith('<');
+
 const resolveUrl = (baseUrl, relativeUrl) => {
     try {
         return new URL(relativeUrl, baseUrl).toString();
@@ -54,22 +62,43 @@ const resolveUrl = (baseUrl, relativeUrl) => {
     }
 };
 
-const collectUrlsFromSitemap = async (sitemapUrl, limit, collected) => {
+const extractLastmod = (entry) => {
+    if (!entry || typeof entry !== 'object' || entry.lastmod === undefined) return null;
+    return String(entry.lastmod).trim() || null;
+};
+
+/**
+ * Collects `{ url, lastmod }` entries in sitemap order, following sitemap indexes.
+ * URLs rejected by `accept` are skipped before they count towards the limit.
+ */
+const collectUrlsFromSitemap = async (sitemapUrl, limit, collected, accept, seen = new Set()) => {
     if (collected.length >= limit) return;
     if (visitedSitemaps.has(sitemapUrl)) return;
     visitedSitemaps.add(sitemapUrl);
 
-    const xml = await fetchSitemap(sitemapUrl);
-    const parsed = parser.parse(xml);
+    const content = await fetchSitemap(sitemapUrl);
+    const addEntry = (location, lastmod) => {
+        if (location && isValidUrl(location) && !seen.has(location) && accept(location)) {
+            seen.add(location);
+            collected.push({ url: location, lastmod });
+        }
+    };
+
+    if (isTextSitemap(content)) {
+        for (const line of content.split(/\r?\n/)) {
+            if (collected.length >= limit) break;
+            addEntry(line.trim(), null);
+        }
+        return;
+    }
+
+    const parsed = parser.parse(content);
 
     if (parsed.urlset) {
         const entries = normalizeToArray(parsed.urlset.url);
         for (const entry of entries) {
             if (collected.length >= limit) break;
-            const location = extractLocation(entry);
-            if (location && isHttpUrl(location) && !collected.includes(location)) {
-                collected.push(location);
-            }
+            addEntry(extractLocation(entry), extractLastmod(entry));
         }
         return;
     }
@@ -81,25 +110,92 @@ const collectUrlsFromSitemap = async (sitemapUrl, limit, collected) => {
             const location = extractLocation(child);
             if (!location) continue;
             const resolved = resolveUrl(sitemapUrl, location);
-            if (!resolved || !isHttpUrl(resolved)) continue;
-            await collectUrlsFromSitemap(resolved, limit, collected);
+            if (!resolved || !isValidUrl(resolved)) continue;
+            await collectUrlsFromSitemap(resolved, limit, collected, accept, seen);
         }
     }
 };
 
-const main = async () => {
-    const sitemapUrl = runtimeSettings.sitemapUrl;
-    const limit = runtimeSettings.maxPages;
+const readRobotsSitemaps = async (robotsUrl) => {
+    try {
+        const response = await fetch(robotsUrl, { redirect: 'follow' });
+        if (!response.ok) return [];
+        const sitemaps = (await response.text())
+            .split(/\r?\n/)
+            .map((line) => line.match(SITEMAP_DIRECTIVE_PATTERN)?.[1])
+            .map((location) => (location ? resolveUrl(robotsUrl, location) : null))
+            .filter((location) => location && isValidUrl(location));
+        return [...new Set(sitemaps)];
+    } catch (error) {
+        console.warn(`robots.txt を取得できませんでした: ${robotsUrl} (${error.message})`);
+        return [];
+    }
+};
+
+/**
+ * Turns the configured URL into the sitemaps to read. A robots.txt URL yields the sitemaps it lists, and a site
+ * URL (a path ending in `/`) does the same with the origin's robots.txt, falling back to `sitemap.xml` under that
+ * path. Any other URL is read as a sitemap itself.
+ */
+const resolveSitemapUrls = async (configuredUrl) => {
+    const url = new URL(configuredUrl);
+    const isRobots = url.pathname.endsWith('/robots.txt');
+    if (!isRobots && !url.pathname.endsWith('/')) {
+        return [configuredUrl];
+    }
+
+    const robotsUrl = isRobots ? url.toString() : new URL('/robots.txt', url).toString();
+    const sitemaps = await readRobotsSitemaps(robotsUrl);
+    if (sitemaps.length > 0) {
+        console.log(`robots.txt から sitemap を見つけました: ${sitemaps.join(', ')}`);
+        return sitemaps;
+    }
+    if (isRobots) {
+        console.warn(`robots.txt に Sitemap の記載がありません: ${robotsUrl}`);
+        return [];
+    }
+
+    const fallback = new URL('sitemap.xml', url).toString();
+    console.log(`robots.txt に Sitemap の記載がないため、${fallback} を使用します。`);
+    return [fallback];
+};
+
+const collectUrlsByCrawling = async (seedUrls, maxDepth, limit, accept) => {
+    if (seedUrls.length === 0) {
+        console.warn('クロールを開始する URL が設定されていないため、URL リストを生成できません。設定画面で URL を保存してください。');
+        return null;
+    }
+
+    console.log(`クロールを開始します: ${seedUrls.join(', ')}（深さ ${maxDepth}）`);
+    const collected = await crawlSite({
+        seedUrls,
+        maxDepth,
+        limit,
+        accept,
+        onError: (url, error) => console.warn(`ページを取得できませんでした: ${url} (${error.message})`)
+    });
 
+    if (collected.length === 0) {
+        console.warn('クロールで URL を取得できませんでした。開始 URL をご確認ください。');
+    }
+    return collected;
+};
+
+const collectUrlsFromSitemapSetting = async (sitemapUrl, limit, accept) => {
     if (!sitemapUrl) {
         console.warn('sitemapUrl が設定されていないため、URL リストを生成できません。設定画面で URL を保存してください。');
-        return;
+        return null;
     }
 
     const collected = [];
+    // Sorting by lastmod and sampling per template both need the whole sitemap, not just its first entries.
+    const needsAllEntries = runtimeSettings.urlOrder !== 'sitemap' || runtimeSettings.samplePerTemplate > 0;
 
     try {
-        await collectUrlsFromSitemap(sitemapUrl, limit, collected);
+        const seen = new Set();
+        for (const resolved of await resolveSitemapUrls(sitemapUrl)) {
+            await collectUrlsFromSitemap(resolved, needsAllEntries ? MAX_SITEMAP_ENTRIES : limit, collected, accept, seen);
+        }
     } catch (error) {
         console.error('sitemap の取得・解析に失敗しました:', error.message);
         throw error;
@@ -107,12 +203,58 @@ const main = async () => {
 
     if (collected.length === 0) {
         console.warn('sitemap から URL を取得できませんでした。設定値をご確認ください。');
+    } else if (needsAllEntries) {
+        console.log(`sitemap から ${collected.length} 件の URL を読み込みました。`);
     }
 
-    const normalizedPaths = collected.slice(0, limit).join('\n');
-    await writeFile(URL_LIST_PATH, normalizedPaths, 'utf-8');
+    return selectUrls(collected, {
+        urlOrder: runtimeSettings.urlOrder,
+        samplePerTemplate: runtimeSettings.samplePerTemplate,
+        limit
+    });
+};
+
+/**
+ * Invalid entries are dropped here as well, since the file can also be edited by hand.
+ */
+const readUrlListOverrides = async () => {
+    try {
+        const overrides = normalizeUrlListOverrides(JSON.parse(await readFile(URL_LIST_OVERRIDES_PATH, 'utf-8')));
+        return {
+            manual: overrides.manual.filter(isValidUrl),
+            pinned: overrides.pinned.filter(isValidUrl),
+            excluded: overrides.excluded
+        };
+    } catch {
+        return normalizeUrlListOverrides(null);
+    }
+};
+
+const main = async () => {
+    const limit = runtimeSettings.maxPages;
+    const overrides = await readUrlListOverrides();
+    const hasOverrides = overrides.manual.length > 0 || overrides.pinned.length > 0 || overrides.excluded.length > 0;
+
+    // URLs that the overrides add or remove anyway are kept out of discovery so they do not use up its limit.
+    const overridden = new Set([...overrides.pinned, ...overrides.manual, ...overrides.excluded]);
+    const filter = createUrlFilter(runtimeSettings);
+    const accept = (url) => !overridden.has(url) && filter(url);
+
+    const discovered = runtimeSettings.discovery === 'crawl'
+        ? await collectUrlsByCrawling(runtimeSettings.seedUrls, runtimeSettings.crawlDepth, limit, accept)
+        : await collectUrlsFromSitemapSetting(runtimeSettings.sitemapUrl, limit, accept);
 
-    console.log(`抽出した URL 件数: ${Math.min(collected.length, limit)} 件（最大 ${limit} 件）`);
+    if (!discovered && !hasOverrides) return;
+
+    const urls = mergeUrlList(overrides, discovered ?? [], limit);
+    await writeFile(URL_LIST_PATH, urls.join('\n'), 'utf-8');
+
+    if (hasOverrides) {
+        console.log(
+            `手動設定を反映しました: 常に含める URL ${overrides.pinned.length} 件、手動で追加する URL ${overrides.manual.length} 件、常に除外する URL ${overrides.excluded.length} 件`
+        );
+    }
+    console.log(`抽出した URL 件数: ${urls.length} 件（最大 ${Math.max(limit, overrides.pinned.length)} 件）`);
     console.log(`URL リストを更新しました: ${path.relative(process.cwd(), URL_LIST_PATH)}`);
 };
 
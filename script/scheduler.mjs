@@ -1,10 +1,15 @@
 import { spawn } from 'node:child_process';
 import { promises as fs } from 'node:fs';
 import path from 'node:path';
+import readline from 'node:readline/promises';
 import { fileURLToPath } from 'node:url';
 import minimist from 'minimist';
 import cron from 'node-cron';
-import config, { loadSettings, runtimeSettings } from './config.mjs';
+import config, { loadProjects } from './config.mjs';
+import { DEFAULT_SETTINGS } from '../shared/default-settings.js';
+import { getNextRunTimes, matchesCron, toCronExpression } from '../shared/cron.js';
+import { findUnfinishedRuns } from '../shared/run-manifest.js';
+import { acquireRunLock, readRunLock, releaseRunLock, RunLockError, updateRunLock } from '../shared/run-lock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const SCRIPT_DIR = path.dirname(__filename);
@@ -17,12 +22,6 @@ const commandPaths = {
 };
 
 const REPORTS_INDEX_PATH = path.join(ROOT_DIR, 'data', 'reports', 'index.json');
-const DAY_IN_MS = 24 * 60 * 60 * 1000;
-const FREQUENCY_INTERVAL_DAYS = {
-    daily: 1,
-    weekly: 7,
-    monthly: 30
-};
 
 const runCommand = (commandPath, args = []) =>
     new Promise((resolve, reject) => {
@@ -83,120 +82,231 @@ const findLatestRunDirectory = async () => {
     return path.join(outputDir, directories[0]);
 };
 
-const readLatestRunTimestamp = async () => {
+const getCurrentProjects = async () => {
     try {
-        const content = await fs.readFile(REPORTS_INDEX_PATH, 'utf-8');
-        const parsed = JSON.parse(content);
-        if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.runs) || parsed.runs.length === 0) {
-            return null;
-        }
-
-        const [latest] = parsed.runs;
-        if (!latest || typeof latest !== 'object') {
-            return null;
-        }
-
-        const timestamp =
-            typeof latest.runTimestamp === 'string' && latest.runTimestamp
-                ? latest.runTimestamp
-                : typeof latest.generatedAt === 'string'
-                    ? latest.generatedAt
-                    : null;
-
-        if (!timestamp) {
-            return null;
-        }
-
-        const parsedDate = new Date(timestamp);
-        return Number.isNaN(parsedDate.getTime()) ? null : parsedDate;
-    } catch {
-        return null;
+        return await loadProjects();
+    } catch (error) {
+        console.warn('設定ファイルの再読込に失敗しました。', error);
+        return [];
     }
 };
 
-const getCurrentSettings = async () => {
+const readIndexedRunIds = async () => {
     try {
-        return await loadSettings();
-    } catch (error) {
-        console.warn('設定ファイルの再読込に失敗したため、起動時の設定を使用します。', error);
-        return runtimeSettings;
+        const parsed = JSON.parse(await fs.readFile(REPORTS_INDEX_PATH, 'utf-8'));
+        const runs = Array.isArray(parsed?.runs) ? parsed.runs : [];
+        return new Set(runs.map((run) => run?.runId).filter(Boolean));
+    } catch {
+        return new Set();
     }
 };
 
-const evaluateSchedule = async (frequency) => {
-    const intervalDays = FREQUENCY_INTERVAL_DAYS[frequency] ?? FREQUENCY_INTERVAL_DAYS.daily;
-    if (frequency === 'daily') {
-        return { shouldRun: true, remainingDays: 0, lastRun: null };
-    }
+const listUnfinishedRuns = async (projectId = null) =>
+    findUnfinishedRuns(config.outputDirectory, await readIndexedRunIds(), projectId, (await readRunLock())?.runId ?? null);
 
-    const latestRun = await readLatestRunTimestamp();
-    if (!latestRun) {
-        return { shouldRun: true, remainingDays: 0, lastRun: null };
-    }
+const describeUnfinishedRun = (run) =>
+    `${run.runId}（プロジェクト: ${run.projectId}、完了 ${run.progress.done}/${run.progress.total} URL）`;
 
-    const diffMs = Date.now() - latestRun.getTime();
-    const diffDays = diffMs > 0 ? diffMs / DAY_IN_MS : 0;
+const logUnfinishedRuns = async () => {
+    const runs = await listUnfinishedRuns();
+    if (runs.length === 0) return;
 
-    if (diffDays >= intervalDays) {
-        return { shouldRun: true, remainingDays: 0, lastRun: latestRun };
+    console.log('中断されたテストが見つかりました。`node script/scheduler.mjs --resume <runId>` で続きから再開できます。');
+    runs.forEach((run) => console.log(`  - ${describeUnfinishedRun(run)}`));
+};
+
+/**
+ * Asks on an interactive terminal whether to continue the latest interrupted run instead of starting over.
+ */
+const offerResume = async (project) => {
+    if (!process.stdin.isTTY) return null;
+
+    const [latest] = await listUnfinishedRuns(project.id);
+    if (!latest) return null;
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await prompt.question(
+            `プロジェクト「${project.name}」に中断されたテスト ${describeUnfinishedRun(latest)} があります。続きから再開しますか？ [y/N] `
+        );
+        return /^y(es)?$/i.test(answer.trim()) ? latest.runId : null;
+    } finally {
+        prompt.close();
     }
+};
 
-    return {
-        shouldRun: false,
-        remainingDays: Math.max(intervalDays - diffDays, 0),
-        lastRun: latestRun
-    };
+/**
+ * With `resumeRunId` the URL list is not regenerated; the reporter continues the existing run folder from its manifest.
+ * The run lock is held until the pipeline ends, so runs from the dashboard and from other scheduler processes wait.
+ */
+const runPipeline = async (project, resumeRunId = null) => {
+    await acquireRunLock({ projectId: project.id, runId: resumeRunId });
+    try {
+        await runLockedPipeline(project, resumeRunId);
+    } finally {
+        await releaseRunLock();
+    }
 };
 
-const runPipeline = async () => {
+const runLockedPipeline = async (project, resumeRunId) => {
+    const projectArgs = ['--project', project.id];
     const startedAt = new Date().toISOString();
-    console.log(`[${startedAt}] 自動テスト処理を開始します。`);
-
-    await runCommand(commandPaths.generate);
-    await runCommand(commandPaths.reporter);
 
-    const latestDir = await findLatestRunDirectory();
-    if (!latestDir) {
-        throw new Error('レポートディレクトリを特定できませんでした。');
+    let runDir;
+    if (resumeRunId) {
+        console.log(`[${startedAt}] 中断されたテスト ${resumeRunId} を再開します。(プロジェクト: ${project.name})`);
+        await runCommand(commandPaths.reporter, [...projectArgs, '--resume', resumeRunId]);
+        runDir = path.join(config.outputDirectory, resumeRunId);
+    } else {
+        console.log(`[${startedAt}] 自動テスト処理を開始します。(プロジェクト: ${project.name})`);
+        await runCommand(commandPaths.generate, projectArgs);
+        await runCommand(commandPaths.reporter, projectArgs);
+
+        runDir = await findLatestRunDirectory();
+        if (!runDir) {
+            throw new Error('レポートディレクトリを特定できませんでした。');
+        }
+        await updateRunLock({ runId: path.basename(runDir) });
     }
 
-    await runCommand(commandPaths.summary, ['--path', latestDir]);
+    await runCommand(commandPaths.summary, ['--path', runDir, ...projectArgs]);
 
     console.log('Running npm run build to update static assets...');
     await runNpmCommand(['run', 'build']);
 
     const finishedAt = new Date().toISOString();
-    console.log(`[${finishedAt}] 自動テスト処理が完了しました。`);
+    console.log(`[${finishedAt}] 自動テスト処理が完了しました。(プロジェクト: ${project.name})`);
+};
+
+const resolveProjectSchedule = (project) => {
+    const cronExpression = toCronExpression(project.schedule ?? DEFAULT_SETTINGS.schedule);
+    const timezone = project.timezone ?? DEFAULT_SETTINGS.timezone;
+    return { cronExpression, timezone };
+};
+
+const isProjectDue = (project, now) => {
+    const { cronExpression, timezone } = resolveProjectSchedule(project);
+    try {
+        return matchesCron(cronExpression, now, timezone);
+    } catch (error) {
+        console.warn(`プロジェクト「${project.name}」のスケジュール設定を解釈できませんでした。`, error);
+        return false;
+    }
+};
+
+const describeProjectSchedule = (project) => {
+    const { cronExpression, timezone } = resolveProjectSchedule(project);
+    let nextRun = 'N/A';
+    try {
+        nextRun = getNextRunTimes(cronExpression, timezone, 1)[0]?.toISOString() ?? 'N/A';
+    } catch {
+        // Invalid expressions are reported when the project is evaluated.
+    }
+    return `${project.name}=${cronExpression} (${timezone}, 次回: ${nextRun})`;
 };
 
-const maybeRunPipeline = async () => {
-    const settings = await getCurrentSettings();
-    const rawFrequency = settings?.frequency ?? 'daily';
-    const frequency = FREQUENCY_INTERVAL_DAYS[rawFrequency] ? rawFrequency : 'daily';
-    const decision = await evaluateSchedule(frequency);
+const pendingProjectIds = [];
+let runningProjectId = null;
+let draining = false;
 
-    if (decision.shouldRun) {
-        await runPipeline();
-        return;
+/**
+ * Projects run one after another so that run folders and the reports index are never written concurrently.
+ * Projects that become due while another one is running wait in the queue instead of being skipped.
+ */
+const drainQueue = async () => {
+    if (draining) return;
+    draining = true;
+
+    try {
+        while (pendingProjectIds.length > 0) {
+            const projectId = pendingProjectIds.shift();
+            const project = (await getCurrentProjects()).find((entry) => entry.id === projectId);
+            if (!project) continue;
+
+            runningProjectId = project.id;
+            try {
+                await runPipeline(project);
+            } catch (error) {
+                if (error instanceof RunLockError) {
+                    // A run started elsewhere, e.g. from the dashboard, is still going; try again on the next tick.
+                    pendingProjectIds.unshift(project.id);
+                    console.log(
+                        `[${new Date().toISOString()}] 他のテスト（プロジェクト: ${error.holder.projectId}）が実行中のため、プロジェクト「${project.name}」の実行を待機します。`
+                    );
+                    break;
+                }
+                console.error(`プロジェクト「${project.name}」の定期実行でエラーが発生しました。`, error);
+            } finally {
+                runningProjectId = null;
+            }
+        }
+    } finally {
+        draining = false;
     }
+};
 
-    const remaining = Math.max(decision.remainingDays ?? 0, 0);
-    const lastRunText = decision.lastRun ? decision.lastRun.toISOString() : 'N/A';
-    console.log(
-        `[${new Date().toISOString()}] 頻度設定(${frequency})により定期実行をスキップしました。次の実行まで約 ${remaining.toFixed(
-            2
-        )} 日です。(最終実行: ${lastRunText})`
-    );
+/**
+ * Settings are re-read on every tick, so schedule changes apply without restarting the scheduler.
+ */
+const enqueueDueProjects = async (now) => {
+    const projects = await getCurrentProjects();
+    for (const project of projects) {
+        if (!isProjectDue(project, now)) continue;
+
+        if (project.id === runningProjectId || pendingProjectIds.includes(project.id)) {
+            console.log(
+                `[${now.toISOString()}] プロジェクト「${project.name}」は前回の実行が終わっていないため、今回の定期実行をスキップしました。`
+            );
+            continue;
+        }
+        pendingProjectIds.push(project.id);
+    }
+    await drainQueue();
 };
 
 const args = minimist(process.argv.slice(2), {
     boolean: ['once'],
+    string: ['project', 'resume'],
     alias: { once: 'run' }
 });
 
+if (args.resume !== undefined) {
+    try {
+        const projects = await getCurrentProjects();
+        const runs = (await listUnfinishedRuns(args.project || null)).filter(
+            (run) => !args.resume || run.runId === args.resume
+        );
+        if (args.resume && runs.length === 0) {
+            throw new Error(`再開できるテストが見つかりません: ${args.resume}`);
+        }
+        if (runs.length === 0) {
+            console.log('再開できる中断されたテストはありません。');
+        }
+        for (const run of runs) {
+            const project = projects.find((entry) => entry.id === run.projectId);
+            if (!project) {
+                console.warn(`プロジェクト ${run.projectId} が見つからないため、テスト ${run.runId} は再開できません。`);
+                continue;
+            }
+            await runPipeline(project, run.runId);
+        }
+    } catch (error) {
+        console.error('中断されたテストの再開でエラーが発生しました。', error);
+        process.exit(1);
+    }
+    process.exit(0);
+}
+
 if (args.once) {
     try {
-        await runPipeline();
+        const projects = await getCurrentProjects();
+        const targets = args.project ? projects.filter((project) => project.id === args.project) : projects;
+        if (targets.length === 0) {
+            throw new Error(`プロジェクトが見つかりません: ${args.project}`);
+        }
+        for (const project of targets) {
+            await runPipeline(project, await offerResume(project));
+        }
     } catch (error) {
         console.error('ワンショット実行でエラーが発生しました。', error);
         process.exit(1);
@@ -204,19 +314,16 @@ if (args.once) {
     process.exit(0);
 }
 
-const schedule = '0 3 * * *';
+cron.schedule('* * * * *', () => {
+    enqueueDueProjects(new Date()).catch((error) => {
+        console.error('定期実行でエラーが発生しました。', error);
+    });
+});
 
-cron.schedule(
-    schedule,
-    () => {
-        maybeRunPipeline().catch((error) => {
-            console.error('定期実行でエラーが発生しました。', error);
-        });
-    },
-    {
-        timezone: 'Asia/Tokyo'
-    }
+const initialProjects = await getCurrentProjects();
+console.log(
+    `スケジューラを起動しました。毎分、各プロジェクトのスケジュール設定をもとに実行判定を行います。(対象: ${initialProjects
+        .map(describeProjectSchedule)
+        .join(', ')})`
 );
-
-const initialFrequency = FREQUENCY_INTERVAL_DAYS[config.frequency] ? config.frequency : 'daily';
-console.log(`スケジューラを起動しました。03:00 (Asia/Tokyo) に頻度設定(${initialFrequency})をもとに実行判定を行います。`);
+await logUnfinishedRuns();
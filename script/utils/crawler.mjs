@@ -0,0 +1,163 @@
+import pLimit from 'p-limit';
+
+const LINK_PATTERN = /<a\b[^>]*?\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+const BASE_PATTERN = /<base\b[^>]*?\shref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i;
+const COMMENT_PATTERN = /<!--[\s\S]*?-->/g;
+const SKIPPED_SCHEME_PATTERN = /^(?:javascript|mailto|tel|data|ftp):/i;
+const HTML_CONTENT_TYPE_PATTERN = /text\/html|application\/xhtml\+xml/i;
+const NON_HTML_EXTENSION_PATTERN =
+    /\.(?:pdf|zip|gz|tgz|rar|7z|dmg|exe|msi|jpe?g|png|gif|webp|avif|svg|ico|bmp|tiff?|mp3|mp4|m4a|mov|avi|webm|wav|ogg|css|js|mjs|json|xml|rss|atom|txt|csv|xlsx?|docx?|pptx?)$/i;
+
+const decodeEntities = (value) =>
+    value
+        .replace(/&(?:amp|#0*38|#x0*26);/gi, '&')
+        .replace(/&(?:quot|#0*34|#x0*22);/gi, '"')
+        .replace(/&(?:apos|#0*39|#x0*27);/gi, '\'');
+
+/**
+ * Resolves a link and reduces it to one canonical form, so that `/about`, `/about#team` and
+ * `https://EXAMPLE.com:443/about` are treated as the same page.
+ * @param {string} value - Absolute or relative URL
+ * @param {string} [baseUrl] - URL that relative links are resolved against
+ * @returns {string|null} Normalized http(s) URL, or null if the link cannot be tested
+ */
+export const normalizeCrawlUrl = (value, baseUrl) => {
+    try {
+        const url = new URL(value, baseUrl);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        url.hash = '';
+        url.username = '';
+        url.password = '';
+        if (url.search === '?') url.search = '';
+        return url.toString();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Extracts the targets of `<a href>` links from an HTML document, honouring `<base href>`
+ * @param {string} html - HTML source
+ * @param {string} pageUrl - URL the document was loaded from
+ * @returns {string[]} Normalized link targets in document order
+ */
+export const extractLinks = (html, pageUrl) => {
+    const source = html.replace(COMMENT_PATTERN, '');
+    const baseMatch = source.match(BASE_PATTERN);
+    const baseHref = baseMatch ? decodeEntities(baseMatch[1] ?? baseMatch[2] ?? baseMatch[3]) : null;
+    const baseUrl = (baseHref && normalizeCrawlUrl(baseHref, pageUrl)) || pageUrl;
+
+    const links = [];
+    for (const match of source.matchAll(LINK_PATTERN)) {
+        const href = decodeEntities(match[1] ?? match[2] ?? match[3] ?? '').trim();
+        if (!href || href.startsWith('#') || SKIPPED_SCHEME_PATTERN.test(href)) continue;
+        const normalized = normalizeCrawlUrl(href, baseUrl);
+        if (normalized) links.push(normalized);
+    }
+    return links;
+};
+
+/**
+ * @param {string} url - Page to fetch
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<{url: string, html: string}|null>} Final URL and body, or null if the page is not an HTML document
+ */
+const fetchHtml = async (url, timeout) => {
+    const response = await fetch(url, {
+        redirect: 'follow',
+        signal: AbortSignal.timeout(timeout),
+        headers: { accept: 'text/html,application/xhtml+xml' }
+    });
+    if (!response.ok || !HTML_CONTENT_TYPE_PATTERN.test(response.headers.get('content-type') ?? '')) {
+        await response.body?.cancel();
+        return null;
+    }
+    return { url: normalizeCrawlUrl(response.url) ?? url, html: await response.text() };
+};
+
+/**
+ * Crawls breadth-first from the seed URLs and follows links on the seeds' origins only.
+ * Depth 0 collects the seeds themselves, depth 1 adds the pages they link to, and so on.
+ * Only pages that answered with HTML are collected, in the order they were discovered. Pages rejected by
+ * `accept` are still crawled for links but are left out of the result.
+ * @param {Object} options - Crawl options
+ * @param {string[]} options.seedUrls - Start URLs
+ * @param {number} options.maxDepth - Number of link hops to follow from the seeds
+ * @param {number} options.limit - Maximum number of URLs to collect
+ * @param {number} [options.concurrency=4] - Parallel requests
+ * @param {number} [options.timeout=15000] - Request timeout in milliseconds
+ * @param {function(string): boolean} [options.accept] - Decides which pages are collected
+ * @param {function(string, Error): void} [options.onError] - Called for pages that could not be fetched
+ * @returns {Promise<string[]>} Collected URLs
+ */
+export const crawlSite = async ({
+    seedUrls,
+    maxDepth,
+    limit,
+    concurrency = 4,
+    timeout = 15000,
+    accept = () => true,
+    onError = () => {}
+}) => {
+    const seen = new Set();
+    const collected = [];
+    const collectedSet = new Set();
+    let frontier = [];
+
+    for (const seed of seedUrls) {
+        const normalized = normalizeCrawlUrl(seed);
+        if (normalized && !seen.has(normalized)) {
+            seen.add(normalized);
+            frontier.push(normalized);
+        }
+    }
+
+    const origins = new Set(frontier.map((url) => new URL(url).origin));
+    const isCrawlable = (url) => {
+        const parsed = new URL(url);
+        return origins.has(parsed.origin) && !NON_HTML_EXTENSION_PATTERN.test(parsed.pathname);
+    };
+    const queue = pLimit(concurrency);
+
+    for (let depth = 0; depth <= maxDepth && frontier.length > 0 && collected.length < limit; depth++) {
+        const next = [];
+        let start = 0;
+
+        // Fetch in batches no larger than the remaining budget, so a wide level does not fetch pages that cannot be kept.
+        while (start < frontier.length && collected.length < limit) {
+            const batch = frontier.slice(start, start + (limit - collected.length));
+            start += batch.length;
+
+            const pages = await Promise.all(
+                batch.map((url) =>
+                    queue(() =>
+                        fetchHtml(url, timeout).catch((error) => {
+                            onError(url, error);
+                            return null;
+                        })
+                    )
+                )
+            );
+
+            for (const page of pages) {
+                if (!page || collected.length >= limit) continue;
+                if (!origins.has(new URL(page.url).origin) || collectedSet.has(page.url)) continue;
+
+                seen.add(page.url);
+                collectedSet.add(page.url);
+                if (accept(page.url)) collected.push(page.url);
+
+                if (depth === maxDepth) continue;
+                for (const link of extractLinks(page.html, page.url)) {
+                    if (seen.has(link) || !isCrawlable(link)) continue;
+                    seen.add(link);
+                    next.push(link);
+                }
+            }
+        }
+
+        frontier = next;
+    }
+
+    return collected;
+};
@@ -0,0 +1,194 @@
+import { AUTH_TYPES, DEFAULT_AUTH } from './default-settings.js';
+
+/**
+ * Credentials can only be read from variables with this prefix, so a profile cannot point at the server's own
+ * secrets such as `AUTH_SESSION_SECRET` and send them to the site under test.
+ */
+export const AUTH_ENV_PREFIX = 'AAR_AUTH_';
+
+const ENV_NAME_PATTERN = new RegExp(`^${AUTH_ENV_PREFIX}[A-Z0-9_]+$`);
+// RFC 7230 token characters, which both header names and cookie names are limited to.
+const TOKEN_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const HOSTNAME_PATTERN = /^\.?[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*$/;
+const MAX_ENTRIES = 20;
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Reduces each entry to its origin when it is an http(s) URL; anything else is kept as written so validation can
+ * report it.
+ */
+const normalizeOrigins = (raw) => {
+  const values = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/\r?\n/) : [];
+  const origins = values.map(toText).filter(Boolean).map((value) => {
+    try {
+      const parsed = new URL(value);
+      return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.origin : value;
+    } catch {
+      return value;
+    }
+  });
+  return [...new Set(origins)];
+};
+
+const normalizeEntries = (raw) =>
+  Array.isArray(raw)
+    ? raw
+        .filter((entry) => entry && typeof entry === 'object')
+        .map((entry) => ({ name: toText(entry.name), valueEnv: toText(entry.valueEnv) }))
+    : [];
+
+/**
+ * Secrets never live in the settings file: every credential field holds the name of an environment variable
+ * that the reporter reads at run time.
+ */
+export const normalizeAuthProfile = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return { ...DEFAULT_AUTH, allowedOrigins: [], cookies: [], headers: [] };
+  }
+
+  return {
+    type: toText(raw.type).toLowerCase() || DEFAULT_AUTH.type,
+    loginUrl: toText(raw.loginUrl),
+    usernameSelector: toText(raw.usernameSelector),
+    passwordSelector: toText(raw.passwordSelector),
+    submitSelector: toText(raw.submitSelector),
+    successSelector: toText(raw.successSelector),
+    usernameEnv: toText(raw.usernameEnv),
+    passwordEnv: toText(raw.passwordEnv),
+    allowedOrigins: normalizeOrigins(raw.allowedOrigins),
+    cookieDomain: toText(raw.cookieDomain).toLowerCase(),
+    cookies: normalizeEntries(raw.cookies),
+    headers: normalizeEntries(raw.headers)
+  };
+};
+
+/**
+ * Lists the environment variables the profile reads, in the order the fields appear.
+ */
+export const listAuthEnvNames = (auth) => {
+  switch (auth.type) {
+    case 'form':
+    case 'basic':
+      return [auth.usernameEnv, auth.passwordEnv].filter(Boolean);
+    case 'cookies':
+      return auth.cookies.map((entry) => entry.valueEnv).filter(Boolean);
+    case 'headers':
+      return auth.headers.map((entry) => entry.valueEnv).filter(Boolean);
+    default:
+      return [];
+  }
+};
+
+export const listMissingAuthEnv = (auth, env) => listAuthEnvNames(auth).filter((name) => !env[name]);
+
+const toOrigin = (url) => {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Credentials are only sent to the origins the administrator listed in `allowedOrigins`, because editors can change
+ * the URL list and the discovery settings. Without authentication every URL is allowed.
+ */
+export const isAllowedAuthUrl = (auth, url) => auth.type === 'none' || auth.allowedOrigins.includes(toOrigin(url));
+
+export const listDisallowedAuthUrls = (auth, urls) => urls.filter((url) => !isAllowedAuthUrl(auth, url));
+
+const coversHostname = (cookieDomain, hostname) => {
+  const domain = cookieDomain.replace(/^\./, '');
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+};
+
+const validateEnvName = (value, label, errors) => {
+  if (!value) {
+    errors.push(`${label}の環境変数名を指定してください。`);
+  } else if (!ENV_NAME_PATTERN.test(value)) {
+    errors.push(
+      `${label}の環境変数名（${value}）は ${AUTH_ENV_PREFIX} で始まる半角英大文字・数字・アンダースコアで指定してください。`
+    );
+  }
+};
+
+const validateEntries = (entries, label, errors) => {
+  if (entries.length === 0) {
+    errors.push(`${label}を1件以上指定してください。`);
+    return;
+  }
+  if (entries.length > MAX_ENTRIES) {
+    errors.push(`${label}は ${MAX_ENTRIES} 件以内で指定してください。`);
+  }
+  for (const entry of entries) {
+    if (!TOKEN_PATTERN.test(entry.name)) {
+      errors.push(`${label}の名前（${entry.name || '空欄'}）に使用できない文字が含まれています。`);
+    }
+    validateEnvName(entry.valueEnv, `${label}「${entry.name}」の値`, errors);
+  }
+};
+
+export const validateAuthProfile = (auth) => {
+  const errors = [];
+
+  if (!AUTH_TYPES.includes(auth.type)) {
+    errors.push(`認証方式は ${AUTH_TYPES.join(' / ')} のいずれかを指定してください。`);
+    return errors;
+  }
+
+  if (auth.type === 'none') {
+    return errors;
+  }
+
+  if (auth.allowedOrigins.length === 0) {
+    errors.push('認証情報を送信するオリジンを1件以上指定してください。');
+  } else if (auth.allowedOrigins.length > MAX_ENTRIES) {
+    errors.push(`認証情報を送信するオリジンは ${MAX_ENTRIES} 件以内で指定してください。`);
+  }
+  for (const origin of auth.allowedOrigins) {
+    if (toOrigin(origin) !== origin || !/^https?:\/\//.test(origin)) {
+      errors.push(`認証情報を送信するオリジン（${origin}）は https://example.com のような http または https のオリジンで指定してください。`);
+    }
+  }
+
+  if (auth.type === 'form') {
+    try {
+      const parsed = new URL(auth.loginUrl);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Unsupported protocol');
+      }
+      if (!isAllowedAuthUrl(auth, auth.loginUrl)) {
+        errors.push('ログインページの URL は、認証情報を送信するオリジンのいずれかで指定してください。');
+      }
+    } catch {
+      errors.push('ログインページの URL を http または https の URL で指定してください。');
+    }
+    if (!auth.usernameSelector || !auth.passwordSelector || !auth.submitSelector) {
+      errors.push('ユーザー名欄・パスワード欄・送信ボタンの CSS セレクタを指定してください。');
+    }
+  }
+
+  if (auth.type === 'form' || auth.type === 'basic') {
+    validateEnvName(auth.usernameEnv, 'ユーザー名', errors);
+    validateEnvName(auth.passwordEnv, 'パスワード', errors);
+  }
+
+  if (auth.type === 'cookies') {
+    if (auth.cookieDomain && !HOSTNAME_PATTERN.test(auth.cookieDomain)) {
+      errors.push('Cookie のドメインは example.com のようなホスト名で指定してください。');
+    } else if (
+      auth.cookieDomain &&
+      !auth.allowedOrigins.some((origin) => toOrigin(origin) && coversHostname(auth.cookieDomain, new URL(origin).hostname))
+    ) {
+      errors.push('Cookie のドメインは、認証情報を送信するオリジンのいずれかのホスト名を含むように指定してください。');
+    }
+    validateEntries(auth.cookies, 'Cookie', errors);
+  }
+
+  if (auth.type === 'headers') {
+    validateEntries(auth.headers, 'HTTP ヘッダー', errors);
+  }
+
+  return errors;
+};
@@ -0,0 +1,78 @@
+import axe from 'axe-core';
+import AXE_LOCALE_JA from 'axe-core/locales/ja.json' with { type: 'json' };
+import { AXE_RESULT_TYPES, DEFAULT_AXE_OPTIONS } from './default-settings.js';
+
+const toList = (raw) => {
+  const values = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/[\s,]+/) : [];
+  const ids = values.map((value) => (typeof value === 'string' ? value.trim() : '')).filter(Boolean);
+  return [...new Set(ids)];
+};
+
+let cachedRules = null;
+
+/**
+ * The rules of the installed axe-core, with the Japanese help texts the reports use where a translation exists.
+ * Experimental rules only run when they are listed in `runOnly`.
+ * @returns {{ id: string, help: string, description: string, helpUrl: string, tags: string[], experimental: boolean }[]}
+ */
+export const listAxeRules = () => {
+  cachedRules ??= axe
+    .getRules()
+    .map((rule) => {
+      const translation = AXE_LOCALE_JA.rules?.[rule.ruleId];
+      return {
+        id: rule.ruleId,
+        help: translation?.help ?? rule.help,
+        description: translation?.description ?? rule.description,
+        helpUrl: rule.helpUrl,
+        tags: rule.tags,
+        experimental: rule.tags.includes('experimental')
+      };
+    })
+    .sort((a, b) => a.id.localeCompare(b.id));
+  return cachedRules;
+};
+
+export const AXE_VERSION = axe.version;
+
+/**
+ * Options are `{ disabledRules, runOnly, resultTypes, iframes, selectors }`. An empty `runOnly` runs the rules
+ * matching the project's tags, and an empty `resultTypes` keeps every result type in full.
+ */
+export const normalizeAxeOptions = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    disabledRules: toList(source.disabledRules),
+    runOnly: toList(source.runOnly),
+    resultTypes: toList(source.resultTypes).map((type) => type.toLowerCase()),
+    iframes: typeof source.iframes === 'boolean' ? source.iframes : DEFAULT_AXE_OPTIONS.iframes,
+    selectors: typeof source.selectors === 'boolean' ? source.selectors : DEFAULT_AXE_OPTIONS.selectors
+  };
+};
+
+export const validateAxeOptions = (options) => {
+  const errors = [];
+  const known = new Set(listAxeRules().map((rule) => rule.id));
+
+  const unknownDisabled = options.disabledRules.filter((id) => !known.has(id));
+  if (unknownDisabled.length > 0) {
+    errors.push(`無効にするルールに axe-core ${AXE_VERSION} に存在しないルール（${unknownDisabled.join(', ')}）が含まれています。`);
+  }
+  const unknownRunOnly = options.runOnly.filter((id) => !known.has(id));
+  if (unknownRunOnly.length > 0) {
+    errors.push(`実行するルールに axe-core ${AXE_VERSION} に存在しないルール（${unknownRunOnly.join(', ')}）が含まれています。`);
+  }
+
+  // axe ignores per-rule settings when the rules to run are listed explicitly, so a rule cannot be in both lists.
+  const conflicting = options.runOnly.filter((id) => options.disabledRules.includes(id));
+  if (conflicting.length > 0) {
+    errors.push(`実行するルールと無効にするルールの両方に指定されています: ${conflicting.join(', ')}`);
+  }
+
+  const unknownTypes = options.resultTypes.filter((type) => !AXE_RESULT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    errors.push(`resultTypes は ${AXE_RESULT_TYPES.join(' / ')} から指定してください。`);
+  }
+
+  return errors;
+};
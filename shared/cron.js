@@ -0,0 +1,314 @@
+import { DEFAULT_SCHEDULE, DEFAULT_TIMEZONE, SCHEDULE_PRESETS } from './default-settings.js';
+
+const CRON_FIELDS = [
+  { name: 'minute', label: '分', min: 0, max: 59 },
+  { name: 'hour', label: '時', min: 0, max: 23 },
+  { name: 'dayOfMonth', label: '日', min: 1, max: 31 },
+  {
+    name: 'month',
+    label: '月',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+  },
+  { name: 'dayOfWeek', label: '曜日', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const LEGACY_FREQUENCY_SCHEDULES = {
+  daily: { preset: 'daily' },
+  weekly: { preset: 'weekly', weekday: 1 },
+  monthly: { preset: 'monthly', dayOfMonth: 1 }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+// Five years covers expressions such as `0 0 29 2 *` that only fire in leap years.
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const parseFieldValue = (value, field) => {
+  const lower = value.toLowerCase();
+  const nameIndex = field.names ? field.names.indexOf(lower) : -1;
+  if (nameIndex >= 0) {
+    return nameIndex + (field.name === 'month' ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`cron 式の${field.label}に使用できない値「${value}」が含まれています。`);
+  }
+  const number = Number.parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`cron 式の${field.label}は ${field.min} から ${field.max} の範囲で指定してください。`);
+  }
+  return number;
+};
+
+const parseField = (source, field) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, rawStep, extra] = part.split('/');
+    if (!range || extra !== undefined) {
+      throw new Error(`cron 式の${field.label}「${source}」を解釈できません。`);
+    }
+
+    let step = 1;
+    if (rawStep !== undefined) {
+      if (!/^\d+$/.test(rawStep) || Number.parseInt(rawStep, 10) === 0 || Number.parseInt(rawStep, 10) > field.max) {
+        throw new Error(`cron 式の${field.label}の間隔「${rawStep}」は 1 から ${field.max} の整数で指定してください。`);
+      }
+      step = Number.parseInt(rawStep, 10);
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [rawStart, rawEnd, rest] = range.split('-');
+      if (rest !== undefined) {
+        throw new Error(`cron 式の${field.label}「${source}」を解釈できません。`);
+      }
+      start = parseFieldValue(rawStart, field);
+      // `5/15` means "from 5 to the end of the range every 15", as in Vixie cron.
+      end = rawEnd !== undefined ? parseFieldValue(rawEnd, field) : rawStep !== undefined ? field.max : start;
+      if (start > end) {
+        throw new Error(`cron 式の${field.label}の範囲「${range}」は開始値を終了値以下にしてください。`);
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parses a standard five-field cron expression (minute hour day-of-month month day-of-week).
+ * Throws an Error with a user-facing message when the expression is invalid.
+ */
+export const parseCronExpression = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('cron 式を入力してください。');
+  }
+
+  const trimmed = expression.trim();
+  const source = CRON_MACROS[trimmed.toLowerCase()] ?? trimmed;
+  const parts = source.split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error('cron 式は「分 時 日 月 曜日」の 5 項目をスペース区切りで指定してください。');
+  }
+
+  const parsed = {};
+  CRON_FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  // When both day fields are restricted, cron fires if either one matches.
+  parsed.dayOfMonthRestricted = !parts[2].startsWith('*');
+  parsed.dayOfWeekRestricted = !parts[4].startsWith('*');
+  return parsed;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const zonedFormatters = new Map();
+
+const getZonedParts = (date, timeZone) => {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    minute: Number.parseInt(parts.minute, 10),
+    hour: Number.parseInt(parts.hour, 10),
+    day: Number.parseInt(parts.day, 10),
+    month: Number.parseInt(parts.month, 10),
+    weekday: WEEKDAY_INDEX[parts.weekday]
+  };
+};
+
+const matchesDay = (parsed, parts) => {
+  const dayOfMonth = parsed.dayOfMonth.has(parts.day);
+  const dayOfWeek = parsed.dayOfWeek.has(parts.weekday);
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+};
+
+const toParsed = (expression) => (typeof expression === 'string' ? parseCronExpression(expression) : expression);
+
+/**
+ * Checks whether the wall-clock minute of `date` in `timeZone` matches the expression.
+ */
+export const matchesCron = (expression, date, timeZone) => {
+  const parsed = toParsed(expression);
+  const parts = getZonedParts(date, timeZone);
+  return (
+    parsed.minute.has(parts.minute) &&
+    parsed.hour.has(parts.hour) &&
+    parsed.month.has(parts.month) &&
+    matchesDay(parsed, parts)
+  );
+};
+
+/**
+ * Lists upcoming fire times after `from`. Wall-clock times skipped by a DST change never fire,
+ * and repeated ones fire twice, which mirrors how the scheduler evaluates every minute.
+ */
+export const getNextRunTimes = (expression, timeZone, count, from = new Date()) => {
+  const parsed = toParsed(expression);
+  const results = [];
+  const limit = from.getTime() + SEARCH_LIMIT_MS;
+  let cursor = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (results.length < count && cursor <= limit) {
+    const parts = getZonedParts(new Date(cursor), timeZone);
+    let skipMinutes;
+
+    if (!parsed.month.has(parts.month) || !matchesDay(parsed, parts)) {
+      // Jump close to the end of the local day; the remaining hour is stepped through below.
+      skipMinutes = parts.hour < 23 ? (23 - parts.hour) * 60 - parts.minute : 60 - parts.minute;
+    } else if (!parsed.hour.has(parts.hour)) {
+      skipMinutes = 60 - parts.minute;
+    } else if (!parsed.minute.has(parts.minute)) {
+      const nextMinute = [...parsed.minute].filter((minute) => minute > parts.minute).sort((a, b) => a - b)[0];
+      skipMinutes = nextMinute !== undefined ? nextMinute - parts.minute : 60 - parts.minute;
+    } else {
+      results.push(new Date(cursor));
+      skipMinutes = 1;
+    }
+
+    cursor += skipMinutes * MINUTE_MS;
+  }
+
+  return results;
+};
+
+/**
+ * Accepts the structured schedule object, a bare cron string (treated as a custom schedule),
+ * or the legacy `frequency` value so settings saved before schedules existed keep their cadence.
+ */
+export const normalizeSchedule = (raw, legacyFrequency) => {
+  if (typeof raw === 'string') {
+    return { ...DEFAULT_SCHEDULE, preset: 'custom', cron: raw.trim() };
+  }
+
+  if (!raw || typeof raw !== 'object') {
+    const legacy =
+      typeof legacyFrequency === 'string' ? LEGACY_FREQUENCY_SCHEDULES[legacyFrequency.trim().toLowerCase()] : null;
+    return { ...DEFAULT_SCHEDULE, ...(legacy ?? {}) };
+  }
+
+  const rawPreset = typeof raw.preset === 'string' ? raw.preset.trim().toLowerCase() : '';
+  const preset = SCHEDULE_PRESETS.includes(rawPreset)
+    ? rawPreset
+    : typeof raw.cron === 'string' && raw.cron.trim()
+      ? 'custom'
+      : DEFAULT_SCHEDULE.preset;
+
+  const toInteger = (value, fallback) => {
+    const number = typeof value === 'number' ? value : Number.parseInt(String(value ?? ''), 10);
+    return Number.isFinite(number) ? number : fallback;
+  };
+
+  return {
+    preset,
+    time: typeof raw.time === 'string' ? raw.time.trim() : DEFAULT_SCHEDULE.time,
+    weekday: toInteger(raw.weekday, DEFAULT_SCHEDULE.weekday),
+    dayOfMonth: toInteger(raw.dayOfMonth, DEFAULT_SCHEDULE.dayOfMonth),
+    cron: typeof raw.cron === 'string' ? raw.cron.trim() : DEFAULT_SCHEDULE.cron
+  };
+};
+
+export const normalizeTimeZone = (raw) =>
+  typeof raw === 'string' && raw.trim() ? raw.trim() : DEFAULT_TIMEZONE;
+
+/**
+ * Resolves a schedule to the cron expression the scheduler evaluates.
+ */
+export const toCronExpression = (schedule) => {
+  if (schedule.preset === 'custom') {
+    return schedule.cron;
+  }
+
+  const [hour, minute] = schedule.time.split(':').map((value) => Number.parseInt(value, 10));
+  if (schedule.preset === 'weekly') {
+    return `${minute} ${hour} * * ${schedule.weekday}`;
+  }
+  if (schedule.preset === 'monthly') {
+    return `${minute} ${hour} ${schedule.dayOfMonth} * *`;
+  }
+  return `${minute} ${hour} * * *`;
+};
+
+export const validateSchedule = (schedule, timeZone) => {
+  const errors = [];
+
+  if (!isValidTimeZone(timeZone)) {
+    errors.push('timezone は Asia/Tokyo のような IANA タイムゾーン名で指定してください。');
+  }
+
+  if (!SCHEDULE_PRESETS.includes(schedule.preset)) {
+    errors.push(`schedule.preset は ${SCHEDULE_PRESETS.join(' / ')} のいずれかを指定してください。`);
+    return errors;
+  }
+
+  if (schedule.preset === 'custom') {
+    try {
+      const parsed = parseCronExpression(schedule.cron);
+      if (errors.length === 0 && getNextRunTimes(parsed, timeZone, 1).length === 0) {
+        errors.push('指定した cron 式では実行日時が発生しません。');
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+    return errors;
+  }
+
+  if (!TIME_PATTERN.test(schedule.time)) {
+    errors.push('実行時刻は HH:MM 形式（00:00〜23:59）で指定してください。');
+  }
+  if (schedule.preset === 'weekly' && !(Number.isInteger(schedule.weekday) && schedule.weekday >= 0 && schedule.weekday <= 6)) {
+    errors.push('曜日は 0（日曜）から 6（土曜）の整数で指定してください。');
+  }
+  if (
+    schedule.preset === 'monthly' &&
+    !(Number.isInteger(schedule.dayOfMonth) && schedule.dayOfMonth >= 1 && schedule.dayOfMonth <= 31)
+  ) {
+    errors.push('実行日は 1 から 31 の整数で指定してください。');
+  }
+
+  return errors;
+};
@@ -1,12 +1,76 @@
 export const DEFAULT_SETTINGS = Object.freeze({
   sitemapUrl: '',
+  discovery: 'sitemap',
+  seedUrls: [],
+  crawlDepth: 2,
+  includePatterns: [],
+  excludePatterns: [],
+  urlOrder: 'sitemap',
+  samplePerTemplate: 0,
   tags: ['wcag2aa'],
-  mode: 'pc',
+  modes: ['pc'],
+  viewportProfiles: [],
   maxPages: 100,
-  frequency: 'daily'
+  schedule: Object.freeze({
+    preset: 'daily',
+    time: '03:00',
+    weekday: 1,
+    dayOfMonth: 1,
+    cron: '0 3 * * *'
+  }),
+  timezone: 'Asia/Tokyo',
+  scope: Object.freeze({
+    include: [],
+    exclude: [],
+    patterns: []
+  }),
+  axe: Object.freeze({
+    disabledRules: [],
+    runOnly: [],
+    resultTypes: [],
+    iframes: true,
+    selectors: true
+  }),
+  auth: Object.freeze({
+    type: 'none',
+    loginUrl: '',
+    usernameSelector: '',
+    passwordSelector: '',
+    submitSelector: '',
+    successSelector: '',
+    usernameEnv: '',
+    passwordEnv: '',
+    allowedOrigins: [],
+    cookieDomain: '',
+    cookies: [],
+    headers: []
+  })
 });
 
-export const ALLOWED_MODES = ['pc', 'mobile'];
+/**
+ * Browser window sizes for the values of the `modes` setting. Every mode selected for a project is tested in the
+ * same run.
+ */
+export const VIEWPORTS = Object.freeze({
+  pc: Object.freeze({ label: 'PC', width: 1024, height: 768 }),
+  mobile: Object.freeze({ label: 'モバイル', width: 375, height: 812 })
+});
+
+export const ALLOWED_MODES = Object.keys(VIEWPORTS);
+
+export const MAX_VIEWPORT_PROFILES = 10;
+
+export const VIEWPORT_SIZE_LIMIT = Object.freeze({
+  min: 200,
+  max: 4096
+});
+
+export const DEVICE_SCALE_FACTOR_LIMIT = Object.freeze({
+  min: 1,
+  max: 4
+});
+
+export const COLOR_SCHEMES = Object.freeze(['', 'light', 'dark']);
 
 export const ALLOWED_TAGS = Object.freeze([
   'wcag2a',
@@ -18,9 +82,41 @@ export const ALLOWED_TAGS = Object.freeze([
   'best-practice'
 ]);
 
+export const AXE_RESULT_TYPES = Object.freeze(['violations', 'incomplete', 'passes', 'inapplicable']);
+
+export const DEFAULT_AXE_OPTIONS = DEFAULT_SETTINGS.axe;
+
+export const MAX_SCOPE_SELECTORS = 100;
+
 export const MAX_PAGE_LIMIT = Object.freeze({
   min: 1,
   max: 1000
 });
 
-export const ALLOWED_FREQUENCIES = Object.freeze(['daily', 'weekly', 'monthly']);
+export const DISCOVERY_MODES = Object.freeze(['sitemap', 'crawl']);
+
+export const CRAWL_DEPTH_LIMIT = Object.freeze({
+  min: 0,
+  max: 5
+});
+
+export const MAX_SEED_URLS = 20;
+
+export const URL_ORDERS = Object.freeze(['sitemap', 'lastmod']);
+
+export const MAX_URL_PATTERNS = 50;
+
+export const SAMPLE_PER_TEMPLATE_LIMIT = Object.freeze({
+  min: 0,
+  max: 50
+});
+
+export const SCHEDULE_PRESETS = Object.freeze(['daily', 'weekly', 'monthly', 'custom']);
+
+export const DEFAULT_SCHEDULE = DEFAULT_SETTINGS.schedule;
+
+export const DEFAULT_TIMEZONE = DEFAULT_SETTINGS.timezone;
+
+export const AUTH_TYPES = Object.freeze(['none', 'form', 'cookies', 'headers', 'basic']);
+
+export const DEFAULT_AUTH = DEFAULT_SETTINGS.auth;
@@ -0,0 +1,142 @@
+import { createHash } from 'node:crypto';
+import { formatNodeTarget } from './suppressions.js';
+
+export const ISSUE_STATUSES = Object.freeze(['open', 'in-progress', 'fixed', 'reopened']);
+
+// Keeps the registry readable while still showing which element an issue is about.
+const MAX_HTML_SNIPPET_LENGTH = 500;
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+const normalizeUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return String(url ?? '');
+  }
+};
+
+/**
+ * The target as `formatNodeTarget` writes it, with runs of whitespace collapsed so formatting changes in axe's
+ * selector output do not create new issues.
+ */
+export const normalizeIssueTarget = (target) => formatNodeTarget(target).replace(/\s+/g, ' ').trim();
+
+export const hashHtmlSnippet = (html) =>
+  sha256(String(html ?? '').replace(/\s+/g, ' ').trim()).slice(0, 16);
+
+/**
+ * Identifies one violating element across runs: the same URL (without fragment), rule, target selector and HTML
+ * always give the same fingerprint, whichever viewport found it.
+ * @returns {{ fingerprint: string, url: string, target: string, htmlHash: string }}
+ */
+export const fingerprintNode = (url, ruleId, node) => {
+  const normalizedUrl = normalizeUrl(url);
+  const target = normalizeIssueTarget(node?.target);
+  const htmlHash = hashHtmlSnippet(node?.html);
+  return {
+    fingerprint: sha256([normalizedUrl, ruleId, target, htmlHash].join('\n')).slice(0, 24),
+    url: normalizedUrl,
+    target,
+    htmlHash
+  };
+};
+
+/**
+ * Groups the same element across pages, as happens with headers, footers and navigation shared by a whole site:
+ * nodes with the same rule, normalized target and HTML get the same key, whichever URL they were found on.
+ * @returns {{ key: string, target: string, htmlHash: string }}
+ */
+export const componentKeyFor = (ruleId, node) => {
+  const target = normalizeIssueTarget(node?.target);
+  const htmlHash = hashHtmlSnippet(node?.html);
+  return {
+    key: sha256([ruleId, target, htmlHash].join('\n')).slice(0, 24),
+    target,
+    htmlHash
+  };
+};
+
+/**
+ * Folds the issues found by one run into the registry.
+ *
+ * - An issue seen for the first time is `open`; one marked `fixed` that shows up again is `reopened`.
+ * - An issue missing from the run becomes `fixed`, but only when its URL was tested in the run, so partial runs
+ *   and pages that failed to load do not close anything. Suppressed nodes are passed in `ignored`; they are neither
+ *   tracked nor closed.
+ * - Runs older than the last one applied only extend first-seen dates, so rebuilding an old summary cannot undo
+ *   newer results.
+ *
+ * @param {{ lastRunId?: string | null, lastRunAt?: string | null, issues: object[] }} registry
+ * @param {{ runId: string, runAt: string, testedUrls: Iterable<string>, found: Map<string, object>, ignored?: Set<string> }} run
+ *   `found` maps fingerprints to `{ url, ruleId, target, htmlHash, html, help, impact }`.
+ */
+export const applyRunToIssues = (registry, { runId, runAt, testedUrls, found, ignored = new Set() }) => {
+  const isLatest = !registry.lastRunAt || runAt >= registry.lastRunAt;
+  const tested = new Set([...testedUrls].map(normalizeUrl));
+  const issues = registry.issues.map((issue) => ({ ...issue }));
+  const known = new Map(issues.map((issue) => [issue.fingerprint, issue]));
+
+  for (const [fingerprint, details] of found) {
+    const issue = known.get(fingerprint);
+    if (!issue) {
+      if (!isLatest) continue;
+      const created = {
+        fingerprint,
+        url: details.url,
+        ruleId: details.ruleId,
+        target: details.target,
+        htmlHash: details.htmlHash,
+        html: String(details.html ?? '').slice(0, MAX_HTML_SNIPPET_LENGTH),
+        help: details.help ?? '',
+        impact: details.impact ?? null,
+        status: 'open',
+        firstSeenRunId: runId,
+        firstSeenAt: runAt,
+        lastSeenRunId: runId,
+        lastSeenAt: runAt,
+        fixedRunId: null,
+        assignee: null,
+        comments: [],
+        updatedAt: runAt
+      };
+      issues.push(created);
+      known.set(fingerprint, created);
+      continue;
+    }
+
+    if (runAt < issue.firstSeenAt) {
+      issue.firstSeenRunId = runId;
+      issue.firstSeenAt = runAt;
+    }
+    if (!isLatest) continue;
+
+    issue.lastSeenRunId = runId;
+    issue.lastSeenAt = runAt;
+    issue.help = details.help ?? issue.help;
+    issue.impact = details.impact ?? issue.impact;
+    if (issue.status === 'fixed') {
+      issue.status = 'reopened';
+      issue.fixedRunId = null;
+      issue.updatedAt = runAt;
+    }
+  }
+
+  if (isLatest) {
+    for (const issue of issues) {
+      if (found.has(issue.fingerprint) || ignored.has(issue.fingerprint)) continue;
+      if (issue.status === 'fixed' || !tested.has(issue.url)) continue;
+      issue.status = 'fixed';
+      issue.fixedRunId = runId;
+      issue.updatedAt = runAt;
+    }
+  }
+
+  return {
+    lastRunId: isLatest ? runId : registry.lastRunId ?? null,
+    lastRunAt: isLatest ? runAt : registry.lastRunAt ?? null,
+    issues
+  };
+};
@@ -0,0 +1,76 @@
+export const DEFAULT_PROJECT_ID = 'default';
+
+export const DEFAULT_PROJECT_NAME = 'デフォルト';
+
+export const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+export const isValidProjectId = (value) => typeof value === 'string' && PROJECT_ID_PATTERN.test(value);
+
+/**
+ * Project ids become part of file names under `data/`, so anything that is not a valid id is refused before a path
+ * is built from it.
+ */
+const assertValidProjectId = (projectId) => {
+  if (!isValidProjectId(projectId)) {
+    throw new Error(`Invalid project id: ${String(projectId)}`);
+  }
+};
+
+export const resolveProjectId = (value) => {
+  if (typeof value !== 'string') return DEFAULT_PROJECT_ID;
+  const trimmed = value.trim().toLowerCase();
+  return isValidProjectId(trimmed) ? trimmed : DEFAULT_PROJECT_ID;
+};
+
+/**
+ * The default project keeps the historical `data/url-list.txt` so existing setups keep working.
+ */
+export const urlListFilenameFor = (projectId) => {
+  assertValidProjectId(projectId);
+  return projectId === DEFAULT_PROJECT_ID ? 'url-list.txt' : `url-list-${projectId}.txt`;
+};
+
+/**
+ * Manual, pinned and excluded URLs that are merged into the generated URL list.
+ */
+export const urlListOverridesFilenameFor = (projectId) => {
+  assertValidProjectId(projectId);
+  return projectId === DEFAULT_PROJECT_ID ? 'url-list-overrides.json' : `url-list-overrides-${projectId}.json`;
+};
+
+/**
+ * Violations marked as accepted or as false positives, left out of the run totals.
+ */
+export const suppressionsFilenameFor = (projectId) => {
+  assertValidProjectId(projectId);
+  return projectId === DEFAULT_PROJECT_ID ? 'suppressions.json' : `suppressions-${projectId}.json`;
+};
+
+/**
+ * Issues tracked across runs by fingerprint, with their status, assignee and comments.
+ */
+export const issuesFilenameFor = (projectId) => {
+  assertValidProjectId(projectId);
+  return projectId === DEFAULT_PROJECT_ID ? 'issues.json' : `issues-${projectId}.json`;
+};
+
+/**
+ * Manual pass/fail verdicts on axe's "incomplete" results, keyed by node fingerprint.
+ */
+export const reviewsFilenameFor = (projectId) => {
+  assertValidProjectId(projectId);
+  return projectId === DEFAULT_PROJECT_ID ? 'reviews.json' : `reviews-${projectId}.json`;
+};
+
+/**
+ * Wraps a legacy flat settings object (single site) into the project list format.
+ */
+export const toProjectList = (raw) => {
+  if (raw && typeof raw === 'object' && Array.isArray(raw.projects)) {
+    return raw.projects.filter((project) => project && typeof project === 'object');
+  }
+  if (raw && typeof raw === 'object') {
+    return [{ ...raw, id: DEFAULT_PROJECT_ID, name: raw.name ?? DEFAULT_PROJECT_NAME }];
+  }
+  return [];
+};
@@ -24,7 +24,51 @@ export const REPORT_TRANSLATIONS = Object.freeze({
     labelViolationTableUncheckAll: 'すべてのチェックを解除',
     labelRule: 'ルール',
     labelViolationIssueCount: '問題数',
-    labelSeeMore: 'さらに表示'
+    labelSeeMore: 'さらに表示',
+    labelSuppressed: '抑制された問題',
+    labelSuppressionStatus: '状態',
+    labelSuppressionReason: '理由',
+    labelSuppressionAuthor: '登録者',
+    labelSuppressionExpiresAt: '有効期限',
+    suppressionStatus: Object.freeze({
+      accepted: '許容済み',
+      'false-positive': '誤検出'
+    }),
+    labelIssue: '課題の追跡',
+    labelIssueStatus: '状態',
+    labelFirstSeen: '初回検出',
+    labelLastSeen: '最終検出',
+    labelAssignee: '担当者',
+    labelUnassigned: '未割り当て',
+    labelComments: 'コメント',
+    labelAddComment: 'コメントを追加',
+    labelCommentAuthor: '投稿者',
+    labelSave: '保存',
+    issueStatus: Object.freeze({
+      open: '未対応',
+      'in-progress': '対応中',
+      fixed: '修正済み',
+      reopened: '再発'
+    }),
+    labelNeedsReview: '要確認の項目',
+    labelNeedsReviewNote: '自動では判定できなかった項目です。内容を確認して判定を記録してください。判定は以降のテストにも引き継がれます。',
+    labelReviewVerdict: '判定',
+    labelUnreviewed: '未確認',
+    labelReviewNote: 'メモ',
+    labelReviewer: '確認者',
+    labelReviewedAt: '確認日',
+    reviewVerdict: Object.freeze({
+      pass: '適合',
+      fail: '不適合'
+    }),
+    labelExportPageSheet: 'ページ別集計',
+    labelExportNodeSheet: '問題の詳細',
+    labelUrl: 'URL',
+    labelViewport: 'ビューポート',
+    labelTotal: '合計',
+    labelTarget: '対象セレクタ',
+    labelHelpUrl: 'ヘルプ URL',
+    labelExportSuppression: '抑制'
   },
   en: {
     labelTitle: 'Accessibility Report',
@@ -51,8 +95,63 @@ export const REPORT_TRANSLATIONS = Object.freeze({
     labelViolationTableUncheckAll: 'Uncheck all',
     labelRule: 'Rule',
     labelViolationIssueCount: 'Issues',
-    labelSeeMore: 'See more'
+    labelSeeMore: 'See more',
+    labelSuppressed: 'Suppressed Issues',
+    labelSuppressionStatus: 'Status',
+    labelSuppressionReason: 'Reason',
+    labelSuppressionAuthor: 'Author',
+    labelSuppressionExpiresAt: 'Expires',
+    suppressionStatus: Object.freeze({
+      accepted: 'Accepted',
+      'false-positive': 'False positive'
+    }),
+    labelIssue: 'Issue Tracking',
+    labelIssueStatus: 'Status',
+    labelFirstSeen: 'First seen',
+    labelLastSeen: 'Last seen',
+    labelAssignee: 'Assignee',
+    labelUnassigned: 'Unassigned',
+    labelComments: 'Comments',
+    labelAddComment: 'Add comment',
+    labelCommentAuthor: 'Author',
+    labelSave: 'Save',
+    issueStatus: Object.freeze({
+      open: 'Open',
+      'in-progress': 'In progress',
+      fixed: 'Fixed',
+      reopened: 'Reopened'
+    }),
+    labelNeedsReview: 'Needs Review',
+    labelNeedsReviewNote: 'These items could not be decided automatically. Check each one and record a verdict; verdicts carry over to later runs.',
+    labelReviewVerdict: 'Verdict',
+    labelUnreviewed: 'Not reviewed',
+    labelReviewNote: 'Note',
+    labelReviewer: 'Reviewer',
+    labelReviewedAt: 'Reviewed',
+    reviewVerdict: Object.freeze({
+      pass: 'Pass',
+      fail: 'Fail'
+    }),
+    labelExportPageSheet: 'Pages',
+    labelExportNodeSheet: 'Issues',
+    labelUrl: 'URL',
+    labelViewport: 'Viewport',
+    labelTotal: 'Total',
+    labelTarget: 'Target',
+    labelHelpUrl: 'Help URL',
+    labelExportSuppression: 'Suppression'
   }
 });
 
+/**
+ * Returns the locale when the translations define it as their own key and `ja` otherwise, so a locale taken from a
+ * query string or a result file cannot select an inherited property such as `constructor`.
+ * @param {unknown} value
+ * @returns {keyof typeof REPORT_TRANSLATIONS}
+ */
+export const resolveReportLocale = (value) =>
+  typeof value === 'string' && Object.hasOwn(REPORT_TRANSLATIONS, value)
+    ? /** @type {keyof typeof REPORT_TRANSLATIONS} */ (value)
+    : 'ja';
+
 export default REPORT_TRANSLATIONS;
@@ -0,0 +1,92 @@
+import { readFile, rm, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { isProcessRunning, readProcessStart } from './run-manifest.js';
+
+/**
+ * Held by the scheduler process for the whole generate → reporter → summary pipeline, whether it was started by the
+ * schedule, from a terminal or from the dashboard, so only one run writes to the results and the reports index at a
+ * time. The file holds `{ pid, processStart, projectId, runId, startedAt }`; a lock whose process has exited, or whose
+ * pid now belongs to another process, is stale.
+ */
+export const RUN_LOCK_PATH = path.resolve(process.cwd(), 'data', 'run.lock');
+
+export class RunLockError extends Error {
+  constructor(holder) {
+    super(`Another run is in progress (project "${holder.projectId}", process ${holder.pid})`);
+    this.name = 'RunLockError';
+    this.holder = holder;
+  }
+}
+
+/**
+ * Returns the file content along with the parsed lock, so a stale lock is only removed while it is unchanged.
+ */
+const readLockFile = async () => {
+  let content;
+  try {
+    content = await readFile(RUN_LOCK_PATH, 'utf-8');
+  } catch {
+    return { content: null, lock: null };
+  }
+  try {
+    const parsed = JSON.parse(content);
+    return { content, lock: parsed && typeof parsed === 'object' ? parsed : null };
+  } catch {
+    return { content, lock: null };
+  }
+};
+
+const isOwnLock = (lock) => Boolean(lock) && lock.pid === process.pid && lock.processStart === readProcessStart();
+
+/**
+ * Returns the lock when a live process other than this one holds it, otherwise null.
+ */
+export const readRunLock = async () => {
+  const { lock } = await readLockFile();
+  return lock && isProcessRunning(lock.pid, lock.processStart) ? lock : null;
+};
+
+/**
+ * Takes the lock for this process, replacing a stale one. Throws a RunLockError when another live process holds it.
+ */
+export const acquireRunLock = async ({ projectId, runId = null }) => {
+  await mkdir(path.dirname(RUN_LOCK_PATH), { recursive: true });
+  const lock = { pid: process.pid, processStart: readProcessStart(), projectId, runId, startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await writeFile(RUN_LOCK_PATH, JSON.stringify(lock, null, 2), { encoding: 'utf-8', flag: 'wx' });
+      return lock;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const { content, lock: holder } = await readLockFile();
+    if (holder && isProcessRunning(holder.pid, holder.processStart)) {
+      throw new RunLockError(holder);
+    }
+    // Another process may have replaced the stale lock with its own in the meantime; that one must stay.
+    if (content !== null && (await readLockFile()).content === content) {
+      await rm(RUN_LOCK_PATH, { force: true });
+    }
+  }
+
+  throw new Error(`Could not take the run lock at ${RUN_LOCK_PATH}`);
+};
+
+/**
+ * Records the run the pipeline is working on once it is known, so the run is not listed as interrupted while its
+ * summary is being built.
+ */
+export const updateRunLock = async (changes) => {
+  const { lock } = await readLockFile();
+  if (!isOwnLock(lock)) return;
+  await writeFile(RUN_LOCK_PATH, JSON.stringify({ ...lock, ...changes }, null, 2), 'utf-8');
+};
+
+export const releaseRunLock = async () => {
+  const { lock } = await readLockFile();
+  if (isOwnLock(lock)) {
+    await rm(RUN_LOCK_PATH, { force: true });
+  }
+};
@@ -0,0 +1,174 @@
+import { readFileSync } from 'node:fs';
+import { readdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+export const RUN_MANIFEST_FILENAME = '_manifest.json';
+
+export const RUN_FAILURES_FILENAME = '_failures.json';
+
+export const RUN_ID_PATTERN = /^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/;
+
+export const URL_STATES = Object.freeze(['pending', 'done', 'failed']);
+
+export const FAILURE_TYPES = Object.freeze(['timeout', 'http', 'network', 'error']);
+
+export const isValidRunId = (value) => typeof value === 'string' && RUN_ID_PATTERN.test(value);
+
+/**
+ * Identifies a process beyond its pid: the boot id plus the start time from `/proc/<pid>/stat`, so a pid reused after
+ * a restart does not match. Returns null where `/proc` is not available.
+ */
+export const readProcessStart = (pid = process.pid) => {
+  try {
+    const bootId = readFileSync('/proc/sys/kernel/random/boot_id', 'utf-8').trim();
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    // Fields after the parenthesized command name start at field 3; the start time is field 22.
+    const startTime = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+    return startTime ? `${bootId}:${startTime}` : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Tells whether the process recorded as `pid` (and `processStart`, when it was recorded) is still alive. The calling
+ * process never counts: a record carrying its own pid was left behind by an earlier process that had the same pid.
+ * Signal 0 only checks that the process exists; EPERM means it exists but belongs to another user.
+ */
+export const isProcessRunning = (pid, processStart = null) => {
+  if (!Number.isInteger(pid) || pid <= 0 || pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    if (error.code !== 'EPERM') return false;
+  }
+  if (!processStart) return true;
+  const current = readProcessStart(pid);
+  return current === null || current === processStart;
+};
+
+/**
+ * `pid` and `processStart` identify the reporter process working on the run, so a run that is still in progress is
+ * not offered for resuming.
+ */
+export const createRunManifest = ({ runId, projectId, urls }) => {
+  const now = new Date().toISOString();
+  return {
+    runId,
+    projectId,
+    pid: process.pid,
+    processStart: readProcessStart(),
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    completedAt: null,
+    urls: urls.map((url) => ({ url, state: 'pending', error: null, updatedAt: null }))
+  };
+};
+
+export const readRunManifest = async (runDir) => {
+  try {
+    const parsed = JSON.parse(await readFile(path.join(runDir, RUN_MANIFEST_FILENAME), 'utf-8'));
+    if (!parsed || typeof parsed !== 'object' || !isValidRunId(parsed.runId) || !Array.isArray(parsed.urls)) {
+      return null;
+    }
+    parsed.urls = parsed.urls.filter(
+      (entry) => entry && typeof entry.url === 'string' && URL_STATES.includes(entry.state)
+    );
+    return parsed;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Writes through a temporary file and a rename so an interrupted write never leaves truncated JSON behind.
+ */
+const writeJsonFile = async (target, value) => {
+  const temporary = `${target}.tmp`;
+  await writeFile(temporary, JSON.stringify(value, null, 2), 'utf-8');
+  await rename(temporary, target);
+};
+
+export const writeRunManifest = (runDir, manifest) =>
+  writeJsonFile(path.join(runDir, RUN_MANIFEST_FILENAME), manifest);
+
+/**
+ * Failure records are `{ url, type, message, httpStatus, attempts, failedAt }`, one per URL that could not be tested.
+ */
+export const readRunFailures = async (runDir) => {
+  try {
+    const parsed = JSON.parse(await readFile(path.join(runDir, RUN_FAILURES_FILENAME), 'utf-8'));
+    if (!Array.isArray(parsed)) return [];
+    return parsed
+      .filter((entry) => entry && typeof entry.url === 'string')
+      .map((entry) => ({
+        url: entry.url,
+        type: FAILURE_TYPES.includes(entry.type) ? entry.type : 'error',
+        message: typeof entry.message === 'string' ? entry.message : '',
+        httpStatus: Number.isInteger(entry.httpStatus) ? entry.httpStatus : null,
+        attempts: Number.isInteger(entry.attempts) && entry.attempts > 0 ? entry.attempts : 1,
+        failedAt: typeof entry.failedAt === 'string' ? entry.failedAt : null
+      }));
+  } catch {
+    return [];
+  }
+};
+
+export const writeRunFailures = (runDir, failures) =>
+  writeJsonFile(path.join(runDir, RUN_FAILURES_FILENAME), failures);
+
+export const markManifestUrl = (manifest, url, state, error = null) => {
+  const entry = manifest.urls.find((item) => item.url === url);
+  if (!entry) return;
+  entry.state = state;
+  entry.error = error;
+  entry.updatedAt = new Date().toISOString();
+  manifest.updatedAt = entry.updatedAt;
+};
+
+export const countManifestUrls = (manifest) => {
+  const counts = { total: manifest.urls.length, done: 0, failed: 0, pending: 0 };
+  for (const entry of manifest.urls) {
+    counts[entry.state] += 1;
+  }
+  return counts;
+};
+
+/**
+ * Lists runs that were interrupted before the reporter finished, or that finished but never made it into the
+ * reports index because the summary step did not run. Runs created before manifests existed are ignored, and so are
+ * runs whose reporter process is still alive and `activeRunId`, the run a pipeline is still summarizing.
+ */
+export const findUnfinishedRuns = async (outputDirectory, indexedRunIds, projectId, activeRunId = null) => {
+  let entries = [];
+  try {
+    entries = await readdir(outputDirectory, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+
+  const runs = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidRunId(entry.name)) continue;
+
+    const runDir = path.join(outputDirectory, entry.name);
+    const manifest = await readRunManifest(runDir);
+    if (!manifest || (projectId && manifest.projectId !== projectId)) continue;
+    if (manifest.status === 'completed' && indexedRunIds.has(manifest.runId)) continue;
+    if (manifest.status === 'running' && isProcessRunning(manifest.pid, manifest.processStart)) continue;
+    if (manifest.runId === activeRunId) continue;
+
+    runs.push({
+      runId: manifest.runId,
+      projectId: manifest.projectId,
+      status: manifest.status,
+      createdAt: manifest.createdAt,
+      updatedAt: manifest.updatedAt,
+      progress: countManifestUrls(manifest),
+      runDir
+    });
+  }
+
+  return runs.sort((a, b) => b.runId.localeCompare(a.runId));
+};
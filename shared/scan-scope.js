@@ -0,0 +1,86 @@
+import { MAX_SCOPE_SELECTORS } from './default-settings.js';
+import { createUrlFilter, normalizeUrlPatterns, validateUrlPatterns } from './url-selection.js';
+
+const MAX_SELECTOR_LENGTH = 300;
+
+const normalizeSelectors = (raw) => {
+  const values = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/\r?\n/) : [];
+  const selectors = values.map((value) => (typeof value === 'string' ? value.trim() : '')).filter(Boolean);
+  return [...new Set(selectors)];
+};
+
+/**
+ * The scope is `{ include, exclude, patterns }`. `include` and `exclude` apply to every page; each entry of
+ * `patterns` is `{ pattern, include, exclude }` and adds its selectors on the pages whose URL matches the pattern,
+ * using the same pattern syntax as the URL list filters.
+ */
+export const normalizeScanScope = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const patterns = Array.isArray(source.patterns)
+    ? source.patterns
+        .filter((entry) => entry && typeof entry === 'object')
+        .map((entry) => ({
+          pattern: typeof entry.pattern === 'string' ? entry.pattern.trim() : '',
+          include: normalizeSelectors(entry.include),
+          exclude: normalizeSelectors(entry.exclude)
+        }))
+    : [];
+  return {
+    include: normalizeSelectors(source.include),
+    exclude: normalizeSelectors(source.exclude),
+    patterns
+  };
+};
+
+const validateSelectors = (selectors, label, errors) => {
+  for (const selector of selectors) {
+    // Selectors are handed to querySelectorAll in the page, so only obvious mistakes can be caught here.
+    if (selector.length > MAX_SELECTOR_LENGTH || /[{};]/.test(selector)) {
+      errors.push(`${label}の CSS セレクタ（${selector.slice(0, 40)}）は ${MAX_SELECTOR_LENGTH} 文字以内で、{ } ; を含めずに指定してください。`);
+    }
+  }
+};
+
+export const validateScanScope = (scope) => {
+  const errors = [];
+  const count =
+    scope.include.length +
+    scope.exclude.length +
+    scope.patterns.reduce((total, entry) => total + entry.include.length + entry.exclude.length, 0);
+  if (count > MAX_SCOPE_SELECTORS) {
+    errors.push(`テスト範囲の CSS セレクタは合計 ${MAX_SCOPE_SELECTORS} 件以内で指定してください。`);
+  }
+
+  validateSelectors(scope.include, 'テスト対象', errors);
+  validateSelectors(scope.exclude, 'テストから除外', errors);
+  for (const entry of scope.patterns) {
+    if (!entry.pattern) {
+      errors.push('URL パターンごとのテスト範囲には URL パターンを指定してください。');
+      continue;
+    }
+    if (entry.include.length === 0 && entry.exclude.length === 0) {
+      errors.push(`URL パターン（${entry.pattern}）に CSS セレクタを指定してください。`);
+    }
+    errors.push(...validateUrlPatterns(normalizeUrlPatterns([entry.pattern]), `URL パターン（${entry.pattern}）`));
+    validateSelectors(entry.include, `URL パターン（${entry.pattern}）のテスト対象`, errors);
+    validateSelectors(entry.exclude, `URL パターン（${entry.pattern}）のテストから除外`, errors);
+  }
+
+  return errors;
+};
+
+/**
+ * Collects the selectors that apply to one page: the global ones followed by those of every matching pattern.
+ * An empty `include` tests the whole page.
+ * @returns {{ include: string[], exclude: string[] }}
+ */
+export const resolveScanScope = (scope, url) => {
+  const include = [...scope.include];
+  const exclude = [...scope.exclude];
+  for (const entry of scope.patterns) {
+    if (!createUrlFilter({ includePatterns: [entry.pattern], excludePatterns: [] })(url)) continue;
+    include.push(...entry.include);
+    exclude.push(...entry.exclude);
+  }
+  return { include: [...new Set(include)], exclude: [...new Set(exclude)] };
+};
@@ -0,0 +1,111 @@
+import { createUrlFilter, normalizeUrlPatterns, validateUrlPatterns } from './url-selection.js';
+
+export const SUPPRESSION_STATUSES = Object.freeze(['accepted', 'false-positive']);
+
+export const SUPPRESSION_STATUS_LABELS = Object.freeze({
+  accepted: '許容済み',
+  'false-positive': '誤検出'
+});
+
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TARGET_LENGTH = 1000;
+const MAX_REASON_LENGTH = 1000;
+const MAX_AUTHOR_LENGTH = 100;
+
+const toTrimmedString = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Flattens an axe node target into one string: shadow DOM steps are joined with ` >>> ` and frames with ` | `.
+ * Suppressions store their target in this form.
+ */
+export const formatNodeTarget = (target) => {
+  if (!Array.isArray(target)) return '';
+  return target.map((part) => (Array.isArray(part) ? part.join(' >>> ') : String(part))).join(' | ');
+};
+
+/**
+ * A suppression matches the nodes of `ruleId` whose target equals `target`, on the pages whose URL matches
+ * `urlPattern`. Leaving out the target suppresses the whole rule on the matching pages; leaving out the pattern
+ * suppresses the target on every page.
+ */
+export const normalizeSuppressionInput = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    ruleId: toTrimmedString(source.ruleId),
+    target: toTrimmedString(source.target) || null,
+    urlPattern: toTrimmedString(source.urlPattern) || null,
+    status: toTrimmedString(source.status),
+    reason: toTrimmedString(source.reason),
+    author: toTrimmedString(source.author),
+    expiresAt: toTrimmedString(source.expiresAt) || null
+  };
+};
+
+const isValidDate = (value) => {
+  if (!DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+export const validateSuppressionInput = (input) => {
+  const errors = [];
+
+  if (!RULE_ID_PATTERN.test(input.ruleId)) {
+    errors.push('ルール ID は axe-core のルール ID（例: image-alt）で指定してください。');
+  }
+  if (!input.target && !input.urlPattern) {
+    errors.push('対象の CSS セレクタか URL パターンの少なくとも一方を指定してください。');
+  }
+  if (input.target && input.target.length > MAX_TARGET_LENGTH) {
+    errors.push(`対象の CSS セレクタは ${MAX_TARGET_LENGTH} 文字以内で指定してください。`);
+  }
+  if (input.urlPattern) {
+    errors.push(...validateUrlPatterns(normalizeUrlPatterns([input.urlPattern]), 'URL パターン'));
+  }
+  if (!SUPPRESSION_STATUSES.includes(input.status)) {
+    errors.push(`状態は ${SUPPRESSION_STATUSES.join(' / ')} のいずれかを指定してください。`);
+  }
+  if (!input.reason || input.reason.length > MAX_REASON_LENGTH) {
+    errors.push(`理由は 1〜${MAX_REASON_LENGTH} 文字で指定してください。`);
+  }
+  if (!input.author || input.author.length > MAX_AUTHOR_LENGTH) {
+    errors.push(`登録者は 1〜${MAX_AUTHOR_LENGTH} 文字で指定してください。`);
+  }
+  if (input.expiresAt && !isValidDate(input.expiresAt)) {
+    errors.push('有効期限は YYYY-MM-DD 形式の日付で指定してください。');
+  }
+
+  return errors;
+};
+
+/**
+ * A suppression stays in effect through the whole day of its expiry date (UTC).
+ */
+export const isSuppressionActive = (suppression, now = new Date()) =>
+  !suppression.expiresAt || suppression.expiresAt >= now.toISOString().slice(0, 10);
+
+/**
+ * Returns a function that finds the suppression covering one node of a page, or null. Expired suppressions are
+ * ignored; when several match, the first one registered wins.
+ * @returns {(url: string, ruleId: string, node: { target?: unknown }) => object | null}
+ */
+export const createSuppressionMatcher = (suppressions, now = new Date()) => {
+  const active = suppressions
+    .filter((suppression) => isSuppressionActive(suppression, now))
+    .map((suppression) => ({
+      suppression,
+      matchesUrl: suppression.urlPattern
+        ? createUrlFilter({ includePatterns: [suppression.urlPattern], excludePatterns: [] })
+        : () => true
+    }));
+
+  return (url, ruleId, node) => {
+    const target = formatNodeTarget(node?.target);
+    const match = active.find(
+      ({ suppression, matchesUrl }) =>
+        suppression.ruleId === ruleId && (!suppression.target || suppression.target === target) && matchesUrl(url)
+    );
+    return match ? match.suppression : null;
+  };
+};
@@ -0,0 +1,112 @@
+import { listDisallowedAuthUrls } from './auth-profile.js';
+
+export const URL_LIST_KINDS = Object.freeze(['manual', 'pinned', 'excluded']);
+
+export const MAX_URL_LIST_ENTRIES = 1000;
+
+const URL_LIST_LABELS = Object.freeze({
+  manual: '手動で追加する URL',
+  pinned: '常に含める URL',
+  excluded: '常に除外する URL'
+});
+
+// Lists at most this many offending URLs in one validation message.
+const MAX_REPORTED_URLS = 5;
+
+/**
+ * The same check the reporter applies to every line of the URL list.
+ */
+export const isValidUrl = (url) => {
+  if (typeof url !== 'string') return false;
+  const trimmed = url.trim();
+  if (!trimmed || (!trimmed.startsWith('http://') && !trimmed.startsWith('https://'))) {
+    return false;
+  }
+  try {
+    new URL(trimmed);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const normalizeEntries = (raw) => {
+  const values = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/\r?\n/) : [];
+  const entries = values.map((value) => (typeof value === 'string' ? value.trim() : '')).filter(Boolean);
+  return [...new Set(entries)];
+};
+
+export const normalizeUrlListOverrides = (raw) => {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  return {
+    manual: normalizeEntries(source.manual),
+    pinned: normalizeEntries(source.pinned),
+    excluded: normalizeEntries(source.excluded)
+  };
+};
+
+const formatUrls = (urls) =>
+  urls.length > MAX_REPORTED_URLS
+    ? `${urls.slice(0, MAX_REPORTED_URLS).join(', ')} ほか ${urls.length - MAX_REPORTED_URLS} 件`
+    : urls.join(', ');
+
+/**
+ * Passing the project's authentication profile also rejects added URLs on origins that may not receive its
+ * credentials. Excluded URLs are never opened, so they are not checked.
+ * @param {{ manual: string[], pinned: string[], excluded: string[] }} overrides
+ * @param {{ type: string, allowedOrigins: string[] } | null} [auth]
+ */
+export const validateUrlListOverrides = (overrides, auth = null) => {
+  const errors = [];
+
+  for (const kind of URL_LIST_KINDS) {
+    const label = URL_LIST_LABELS[kind];
+    if (overrides[kind].length > MAX_URL_LIST_ENTRIES) {
+      errors.push(`${label} は ${MAX_URL_LIST_ENTRIES} 件以内で指定してください。`);
+    }
+    const invalid = overrides[kind].filter((url) => !isValidUrl(url));
+    if (invalid.length > 0) {
+      errors.push(`${label} は http または https の URL で指定してください: ${formatUrls(invalid)}`);
+    }
+  }
+
+  const excluded = new Set(overrides.excluded);
+  const conflicting = [...new Set([...overrides.pinned, ...overrides.manual])].filter((url) => excluded.has(url));
+  if (conflicting.length > 0) {
+    errors.push(`常に除外する URL は、手動で追加する URL や常に含める URL と同時に指定できません: ${formatUrls(conflicting)}`);
+  }
+
+  if (auth) {
+    const disallowed = listDisallowedAuthUrls(auth, [...new Set([...overrides.pinned, ...overrides.manual])].filter(isValidUrl));
+    if (disallowed.length > 0) {
+      errors.push(`認証情報を送信するオリジンに含まれていない URL は追加できません: ${formatUrls(disallowed)}`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Merges the overrides with the URLs found in the sitemap or by crawling. Pinned URLs come first and are kept even
+ * when they alone exceed `limit`; manual URLs come next and, like discovered URLs, only fill the remaining room.
+ * Excluded URLs never appear.
+ * @returns {string[]} The URL list in the order it will be tested
+ */
+export const mergeUrlList = (overrides, discovered, limit) => {
+  const excluded = new Set(overrides.excluded);
+  const merged = [];
+  const seen = new Set();
+  const add = (url) => {
+    if (seen.has(url) || excluded.has(url)) return;
+    seen.add(url);
+    merged.push(url);
+  };
+
+  overrides.pinned.forEach(add);
+  const capacity = Math.max(limit, merged.length);
+  for (const url of [...overrides.manual, ...discovered]) {
+    if (merged.length >= capacity) break;
+    add(url);
+  }
+  return merged;
+};
@@ -0,0 +1,172 @@
+import { MAX_URL_PATTERNS } from './default-settings.js';
+
+const REGEX_PREFIX = 're:';
+// Numbers and dates (`123`, `2024-05-01`), hex hashes of 8 or more characters and UUIDs.
+const ID_SEGMENT_PATTERN = /^(?:\d+(?:[-_]\d+)*|[0-9a-f]{8,}|[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12})$/i;
+// Article-style slugs of three or more words, e.g. `hello-world-again`.
+const SLUG_SEGMENT_PATTERN = /^[\p{L}\p{N}]+(?:[-_][\p{L}\p{N}]+){2,}$/u;
+
+const escapeRegExp = (value) => value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * `**` matches across slashes, `*` and `?` stay within one path segment.
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      source += '.*';
+      index++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Patterns prefixed with `re:` are regular expressions tested against the full URL. Anything else is a glob,
+ * matched against the full URL when it contains `://` and against the path plus query string otherwise.
+ */
+const compilePattern = (pattern) => {
+  if (pattern.startsWith(REGEX_PREFIX)) {
+    const regex = new RegExp(pattern.slice(REGEX_PREFIX.length));
+    return (url) => regex.test(url.href);
+  }
+  const regex = globToRegExp(pattern);
+  return pattern.includes('://')
+    ? (url) => regex.test(url.href)
+    : (url) => regex.test(`${url.pathname}${url.search}`);
+};
+
+export const normalizeUrlPatterns = (raw) => {
+  const values = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/\r?\n/) : [];
+  const patterns = values.map((value) => (typeof value === 'string' ? value.trim() : '')).filter(Boolean);
+  return [...new Set(patterns)];
+};
+
+export const validateUrlPatterns = (patterns, label) => {
+  const errors = [];
+  if (patterns.length > MAX_URL_PATTERNS) {
+    errors.push(`${label}は ${MAX_URL_PATTERNS} 件以内で指定してください。`);
+  }
+  for (const pattern of patterns) {
+    try {
+      compilePattern(pattern);
+    } catch {
+      errors.push(`${label}の正規表現（${pattern.slice(REGEX_PREFIX.length)}）を解釈できません。`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Builds the predicate that decides whether a URL belongs in the URL list. A URL must match at least one include
+ * pattern (when any are set) and none of the exclude patterns. Invalid patterns are skipped.
+ */
+export const createUrlFilter = ({ includePatterns, excludePatterns }) => {
+  const compileAll = (patterns) =>
+    patterns.flatMap((pattern) => {
+      try {
+        return [compilePattern(pattern)];
+      } catch {
+        return [];
+      }
+    });
+  const includes = compileAll(includePatterns);
+  const excludes = compileAll(excludePatterns);
+
+  return (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return false;
+    }
+    if (includes.length > 0 && !includes.some((test) => test(url))) return false;
+    return !excludes.some((test) => test(url));
+  };
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+/**
+ * Reduces a URL to the shape of its path, e.g. `https://example.com/news/2024/123.html` becomes
+ * `example.com/news/:id/:id`. Only segments that look like identifiers are collapsed: numbers, dates, hashes and
+ * UUIDs become `:id`, and slugs of three or more words become `:slug`, so `/news/hello-world-again` and
+ * `/news/another-long-story` share `/news/:slug` while `/company/about` and `/company/access` stay apart. The
+ * trailing slash is kept, which keeps section pages such as `/news/sports/` apart from the articles beside them.
+ */
+export const toPathTemplate = (value) => {
+  const url = new URL(value);
+  const segments = url.pathname.split('/').filter(Boolean);
+  const template = segments.map((segment) => {
+    const name = decodeSegment(segment).replace(/\.[a-z0-9]+$/i, '');
+    if (ID_SEGMENT_PATTERN.test(name)) return ':id';
+    return SLUG_SEGMENT_PATTERN.test(name) ? ':slug' : segment;
+  });
+  const trailingSlash = segments.length > 0 && url.pathname.endsWith('/') ? '/' : '';
+  return `${url.host}/${template.join('/')}${trailingSlash}`;
+};
+
+const toTimestamp = (lastmod) => {
+  const time = lastmod ? Date.parse(lastmod) : Number.NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * Picks the URLs to test from sitemap entries (`{ url, lastmod }`).
+ * With `urlOrder: 'lastmod'` the most recently modified entries come first, and entries without a date keep their
+ * sitemap order after the dated ones. With `samplePerTemplate` above 0, at most that many URLs are kept per path
+ * template, and the templates take turns so that every page type is represented before any gets a second URL.
+ * @returns {string[]} URLs, at most `limit`
+ */
+export const selectUrls = (entries, { urlOrder, samplePerTemplate, limit }) => {
+  let ordered = entries;
+
+  if (urlOrder === 'lastmod') {
+    ordered = entries
+      .map((entry, index) => ({ entry, index, time: toTimestamp(entry.lastmod) }))
+      .sort((a, b) => {
+        if (a.time === null || b.time === null) {
+          return a.time === b.time ? a.index - b.index : a.time === null ? 1 : -1;
+        }
+        return b.time - a.time || a.index - b.index;
+      })
+      .map(({ entry }) => entry);
+  }
+
+  if (!samplePerTemplate) {
+    return ordered.slice(0, limit).map((entry) => entry.url);
+  }
+
+  const groups = new Map();
+  for (const entry of ordered) {
+    const template = toPathTemplate(entry.url);
+    const group = groups.get(template) ?? [];
+    if (group.length < samplePerTemplate) {
+      group.push(entry.url);
+      groups.set(template, group);
+    }
+  }
+
+  const selected = [];
+  for (let round = 0; round < samplePerTemplate && selected.length < limit; round++) {
+    for (const group of groups.values()) {
+      if (selected.length >= limit) break;
+      if (round < group.length) selected.push(group[round]);
+    }
+  }
+  return selected;
+};
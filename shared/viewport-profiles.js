@@ -0,0 +1,140 @@
+import {
+  ALLOWED_MODES,
+  COLOR_SCHEMES,
+  DEVICE_SCALE_FACTOR_LIMIT,
+  MAX_VIEWPORT_PROFILES,
+  VIEWPORT_SIZE_LIMIT,
+  VIEWPORTS
+} from './default-settings.js';
+
+const PROFILE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_LABEL_LENGTH = 40;
+const MAX_USER_AGENT_LENGTH = 512;
+
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const toNumber = (value) => (typeof value === 'number' ? value : Number.parseFloat(String(value ?? '')));
+
+/**
+ * Profiles are `{ id, label, width, height, deviceScaleFactor, isMobile, hasTouch, userAgent, colorScheme,
+ * reducedMotion, forcedColors }`. An empty `userAgent` keeps the browser's own, and an empty `colorScheme` leaves
+ * `prefers-color-scheme` to the browser.
+ */
+export const normalizeViewportProfiles = (raw) =>
+  Array.isArray(raw)
+    ? raw
+        .filter((entry) => entry && typeof entry === 'object')
+        .map((entry) => {
+          const deviceScaleFactor = toNumber(entry.deviceScaleFactor);
+          return {
+            id: toText(entry.id).toLowerCase(),
+            label: toText(entry.label),
+            width: toNumber(entry.width),
+            height: toNumber(entry.height),
+            deviceScaleFactor: Number.isFinite(deviceScaleFactor) ? deviceScaleFactor : 1,
+            isMobile: entry.isMobile === true,
+            hasTouch: entry.hasTouch === true,
+            userAgent: toText(entry.userAgent),
+            colorScheme: toText(entry.colorScheme).toLowerCase(),
+            reducedMotion: entry.reducedMotion === true,
+            forcedColors: entry.forcedColors === true
+          };
+        })
+    : [];
+
+const isInRange = (value, { min, max }) => Number.isFinite(value) && value >= min && value <= max;
+
+export const validateViewportProfiles = (profiles) => {
+  const errors = [];
+
+  if (profiles.length > MAX_VIEWPORT_PROFILES) {
+    errors.push(`カスタムプロファイルは ${MAX_VIEWPORT_PROFILES} 件以内で指定してください。`);
+  }
+
+  const seen = new Set();
+  for (const profile of profiles) {
+    const name = profile.label || profile.id || '名前のないプロファイル';
+    if (!PROFILE_ID_PATTERN.test(profile.id)) {
+      errors.push(`プロファイル「${name}」の ID は半角英小文字・数字・ハイフンの 32 文字以内で指定してください。`);
+    } else if (ALLOWED_MODES.includes(profile.id)) {
+      errors.push(`プロファイルの ID に ${ALLOWED_MODES.join(' / ')} は使用できません。`);
+    } else if (seen.has(profile.id)) {
+      errors.push(`プロファイルの ID（${profile.id}）が重複しています。`);
+    }
+    seen.add(profile.id);
+
+    if (!profile.label || profile.label.length > MAX_LABEL_LENGTH) {
+      errors.push(`プロファイル「${name}」の表示名を ${MAX_LABEL_LENGTH} 文字以内で指定してください。`);
+    }
+    if (
+      !Number.isInteger(profile.width) ||
+      !Number.isInteger(profile.height) ||
+      !isInRange(profile.width, VIEWPORT_SIZE_LIMIT) ||
+      !isInRange(profile.height, VIEWPORT_SIZE_LIMIT)
+    ) {
+      errors.push(
+        `プロファイル「${name}」の幅と高さは ${VIEWPORT_SIZE_LIMIT.min} から ${VIEWPORT_SIZE_LIMIT.max} の整数で指定してください。`
+      );
+    }
+    if (!isInRange(profile.deviceScaleFactor, DEVICE_SCALE_FACTOR_LIMIT)) {
+      errors.push(
+        `プロファイル「${name}」のデバイスピクセル比は ${DEVICE_SCALE_FACTOR_LIMIT.min} から ${DEVICE_SCALE_FACTOR_LIMIT.max} の数値で指定してください。`
+      );
+    }
+    if (profile.userAgent.length > MAX_USER_AGENT_LENGTH || /[\r\n]/.test(profile.userAgent)) {
+      errors.push(`プロファイル「${name}」のユーザーエージェントは ${MAX_USER_AGENT_LENGTH} 文字以内の1行で指定してください。`);
+    }
+    if (!COLOR_SCHEMES.includes(profile.colorScheme)) {
+      errors.push(`プロファイル「${name}」のカラースキームは light / dark のいずれかを指定してください。`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * The values the `modes` setting accepts: the built-in viewports followed by the project's own profiles.
+ */
+export const listViewportModes = (profiles) => [...ALLOWED_MODES, ...profiles.map((profile) => profile.id)];
+
+/**
+ * Expands a mode into everything the reporter emulates for it. The built-in viewports only set the window size.
+ * @returns {Object|null} Viewport descriptor including `mode`, or null for an unknown mode
+ */
+export const resolveViewport = (mode, profiles) => {
+  if (Object.hasOwn(VIEWPORTS, mode)) {
+    return {
+      mode,
+      ...VIEWPORTS[mode],
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+      userAgent: '',
+      colorScheme: '',
+      reducedMotion: false,
+      forcedColors: false
+    };
+  }
+  const profile = profiles.find((entry) => entry.id === mode);
+  if (!profile) return null;
+  const { id, ...emulation } = profile;
+  return { mode: id, ...emulation };
+};
+
+/**
+ * Lists what a viewport emulates beyond its size, in the CSS terms the report readers look for, e.g.
+ * `['DPR 3', 'touch', 'prefers-color-scheme: dark']`. Built-in viewports return an empty list.
+ */
+export const describeViewportEmulation = (viewport) => {
+  if (!viewport || typeof viewport !== 'object') return [];
+  const parts = [];
+  if (typeof viewport.deviceScaleFactor === 'number' && viewport.deviceScaleFactor !== 1) {
+    parts.push(`DPR ${viewport.deviceScaleFactor}`);
+  }
+  if (viewport.isMobile) parts.push('mobile');
+  if (viewport.hasTouch) parts.push('touch');
+  if (viewport.colorScheme) parts.push(`prefers-color-scheme: ${viewport.colorScheme}`);
+  if (viewport.reducedMotion) parts.push('prefers-reduced-motion: reduce');
+  if (viewport.forcedColors) parts.push('forced-colors: active');
+  return parts;
+};
@@ -10,3 +10,10 @@ interface ImportMetaEnv {
 interface ImportMeta {
 	readonly env: ImportMetaEnv;
 }
+
+declare namespace App {
+	interface Locals {
+		user?: import("./server/users").SessionUser;
+		tokenScope?: import("./server/tokens").TokenScope;
+	}
+}
@@ -1,5 +1,8 @@
 import type { MiddlewareHandler } from "astro";
-import { isAuthenticationEnabled, readSession } from "./server/auth";
+import { clearSession, isAuthenticationEnabled, readSession } from "./server/auth";
+import { authenticateToken, readBearerToken } from "./server/tokens";
+import { findUserById, hasRole, toSessionUser } from "./server/users";
+import type { UserRole } from "./server/users";
 
 const PUBLIC_PATHS = new Set(["/login", "/api/login", "/api/logout"]);
 const PUBLIC_PREFIXES = ["/_astro/", "/_image/", "/img/", "/fonts/", "/favicon", "/robots.txt", "/manifest", "/.well-known/"];
@@ -41,6 +44,32 @@ const isStaticAsset = (pathname: string): boolean => {
 	return PUBLIC_EXTENSIONS.has(extension);
 };
 
+const ADMIN_PREFIXES = ["/api/users", "/setting/users"];
+// Every signed-in user manages their own API tokens, but only from a browser session so a token cannot mint further tokens.
+const TOKEN_MANAGEMENT_PREFIXES = ["/api/tokens"];
+const READ_ONLY_METHODS = new Set(["GET", "HEAD"]);
+
+const matchesPrefix = (pathname: string, prefix: string): boolean => pathname === prefix || pathname.startsWith(`${prefix}/`);
+
+const resolveRequiredRole = (pathname: string, method: string): UserRole => {
+	if (ADMIN_PREFIXES.some((prefix) => matchesPrefix(pathname, prefix))) {
+		return "admin";
+	}
+	if (TOKEN_MANAGEMENT_PREFIXES.some((prefix) => matchesPrefix(pathname, prefix))) {
+		return "viewer";
+	}
+	if (pathname.startsWith("/api/") && !READ_ONLY_METHODS.has(method)) {
+		return "editor";
+	}
+	return "viewer";
+};
+
+const jsonError = (status: number, error: string): Response =>
+	new Response(JSON.stringify({ ok: false, error }), {
+		status,
+		headers: { "Content-Type": "application/json; charset=utf-8" },
+	});
+
 const buildRedirectTarget = (url: URL): string => {
 	const pathWithQuery = `${url.pathname}${url.search}`;
 	return `/login?redirect=${encodeURIComponent(pathWithQuery)}`;
@@ -61,28 +90,58 @@ export const onRequest: MiddlewareHandler = async (context, next) => {
 		return next();
 	}
 
+	const method = request.method.toUpperCase();
+	const bearerToken = readBearerToken(request);
+
+	if (bearerToken) {
+		if (!url.pathname.startsWith("/api/") || TOKEN_MANAGEMENT_PREFIXES.some((prefix) => matchesPrefix(url.pathname, prefix))) {
+			return jsonError(403, "API tokens cannot access this resource.");
+		}
+
+		const authenticated = await authenticateToken(bearerToken);
+		if (!authenticated) {
+			return jsonError(401, "Invalid API token.");
+		}
+
+		context.locals.user = authenticated.user;
+		context.locals.tokenScope = authenticated.scope;
+
+		if (!hasRole(authenticated.user, resolveRequiredRole(url.pathname, method))) {
+			return jsonError(403, "Insufficient permissions.");
+		}
+
+		return next();
+	}
+
 	const session = readSession(cookies);
+	const user = session ? await findUserById(session.sub) : null;
+
+	if (session && !user) {
+		clearSession(cookies, request);
+	}
 
 	if (url.pathname === "/login") {
-		if (session) {
+		if (user) {
 			return context.redirect("/");
 		}
 		return next();
 	}
 
-	if (session) {
-		context.locals.user = { username: session.sub };
+	if (user) {
+		context.locals.user = toSessionUser(user);
+
+		if (!hasRole(context.locals.user, resolveRequiredRole(url.pathname, method))) {
+			if (url.pathname.startsWith("/api/")) {
+				return jsonError(403, "Insufficient permissions.");
+			}
+			return context.redirect("/");
+		}
+
 		return next();
 	}
 
 	if (url.pathname.startsWith("/api/")) {
-		return new Response(
-			JSON.stringify({ ok: false, error: "Authentication required." }),
-			{
-				status: 401,
-				headers: { "Content-Type": "application/json; charset=utf-8" },
-			},
-		);
+		return jsonError(401, "Authentication required.");
 	}
 
 	return context.redirect(buildRedirectTarget(url));
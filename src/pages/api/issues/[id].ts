@@ -0,0 +1,114 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../server/settings';
+import { findIssue, IssueValidationError, updateIssue } from '../../../server/issues';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const resolveRequestedProject = (url: URL): string => url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+const notFound = () =>
+  jsonResponse(
+    {
+      ok: false,
+      error: '指定した課題は見つかりません。'
+    },
+    { status: 404 }
+  );
+
+export const GET: APIRoute = async ({ params, url }) => {
+  const projectId = resolveRequestedProject(url);
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const issue = await findIssue(projectId, params.id ?? '');
+    if (!issue) {
+      return notFound();
+    }
+    return jsonResponse({ ok: true, data: issue });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '課題を読み込めませんでした。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+/**
+ * Updates the status and/or the assignee of an issue.
+ */
+export const PATCH: APIRoute = async ({ params, request, url }) => {
+  const projectId = resolveRequestedProject(url);
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  const { status, assignee } = (payload ?? {}) as Record<string, unknown>;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const issue = await updateIssue(projectId, params.id ?? '', { status, assignee });
+    if (!issue) {
+      return notFound();
+    }
+    return jsonResponse({ ok: true, data: issue });
+  } catch (error) {
+    if (error instanceof IssueValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: '課題の更新に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,83 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../../server/settings';
+import { addIssueComment, IssueValidationError } from '../../../../server/issues';
+import { DEFAULT_PROJECT_ID } from '../../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+/**
+ * Adds a comment to an issue. The signed-in user is the author when authentication is enabled; otherwise `author`
+ * must be sent with the comment.
+ */
+export const POST: APIRoute = async ({ params, request, url, locals }) => {
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  const { author, body } = (payload ?? {}) as Record<string, unknown>;
+  const projectId = url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const comment = await addIssueComment(projectId, params.id ?? '', {
+      author: locals.user ? locals.user.username : author,
+      body
+    });
+    if (!comment) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '指定した課題は見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+    return jsonResponse({ ok: true, data: comment }, { status: 201 });
+  } catch (error) {
+    if (error instanceof IssueValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'コメントの追加に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,49 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../server/settings';
+import { listIssues } from '../../../server/issues';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+/**
+ * Lists the tracked issues of a project, optionally narrowed down with `status`, `url` and `ruleId`.
+ */
+export const GET: APIRoute = async ({ url }) => {
+  const projectId = url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const issues = await listIssues(projectId, {
+      status: url.searchParams.get('status'),
+      url: url.searchParams.get('url'),
+      ruleId: url.searchParams.get('ruleId')
+    });
+    return jsonResponse({ ok: true, data: issues });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '課題の一覧を読み込めませんでした。'
+      },
+      { status: 500 }
+    );
+  }
+};
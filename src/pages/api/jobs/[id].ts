@@ -0,0 +1,47 @@
+import type { APIRoute } from 'astro';
+import { cancelJob, getJob, getJobLogs } from '../../../server/jobs';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const notFound = () =>
+  jsonResponse(
+    {
+      ok: false,
+      error: '指定したジョブは見つかりません。'
+    },
+    { status: 404 }
+  );
+
+export const GET: APIRoute = async ({ params }) => {
+  const job = getJob(params.id ?? '');
+  if (!job) {
+    return notFound();
+  }
+  return jsonResponse({ ok: true, data: { ...job, logs: getJobLogs(job.id) } });
+};
+
+export const DELETE: APIRoute = async ({ params }) => {
+  const cancelled = cancelJob(params.id ?? '');
+  if (cancelled === null) {
+    return notFound();
+  }
+  if (!cancelled) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'このジョブは既に終了しています。'
+      },
+      { status: 409 }
+    );
+  }
+  return jsonResponse({ ok: true, data: getJob(params.id ?? '') });
+};
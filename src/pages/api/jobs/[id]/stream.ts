@@ -0,0 +1,79 @@
+import type { APIRoute } from 'astro';
+import { getJob, getJobLogs, subscribeToJob } from '../../../../server/jobs';
+import type { JobEvent } from '../../../../server/jobs';
+
+export const prerender = false;
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+
+const formatEvent = (event: JobEvent): string =>
+  event.type === 'log'
+    ? `event: log\ndata: ${JSON.stringify(event.line)}\n\n`
+    : `event: status\ndata: ${JSON.stringify(event.job)}\n\n`;
+
+/**
+ * Server-Sent Events stream of a job: the buffered log first, then live lines and status updates until the job ends.
+ */
+export const GET: APIRoute = async ({ params, request }) => {
+  const job = getJob(params.id ?? '');
+
+  if (!job) {
+    return new Response(JSON.stringify({ ok: false, error: '指定したジョブは見つかりません。' }), {
+      status: 404,
+      headers: { 'Content-Type': 'application/json; charset=utf-8' }
+    });
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller) {
+      let closed = false;
+      const send = (text: string) => {
+        if (!closed) controller.enqueue(encoder.encode(text));
+      };
+      const close = () => {
+        if (closed) return;
+        closed = true;
+        cleanup();
+        controller.close();
+      };
+
+      getJobLogs(job.id).forEach((line) => send(formatEvent({ type: 'log', line })));
+      send(formatEvent({ type: 'status', job }));
+
+      if (job.finishedAt) {
+        close();
+        return;
+      }
+
+      const unsubscribe = subscribeToJob(job.id, (event) => {
+        send(formatEvent(event));
+        if (event.type === 'status' && event.job.finishedAt) {
+          close();
+        }
+      });
+      const heartbeat = setInterval(() => send(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+      cleanup = () => {
+        clearInterval(heartbeat);
+        unsubscribe?.();
+        request.signal.removeEventListener('abort', close);
+      };
+      request.signal.addEventListener('abort', close);
+    },
+    cancel() {
+      cleanup();
+    }
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive'
+    }
+  });
+};
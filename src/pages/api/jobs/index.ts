@@ -0,0 +1,14 @@
+import type { APIRoute } from 'astro';
+import { listJobs } from '../../../server/jobs';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ url }) => {
+  const projectId = url.searchParams.get('project');
+  const jobs = listJobs().filter((job) => !projectId || job.projectId === projectId);
+
+  return new Response(JSON.stringify({ ok: true, data: jobs }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+  });
+};
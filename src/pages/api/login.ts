@@ -1,5 +1,7 @@
 import type { APIRoute } from "astro";
 import { createSession, isAuthenticationEnabled, verifyCredentials } from "../../server/auth";
+import { authenticateUser, bootstrapAdminUser, hasUsers } from "../../server/users";
+import type { UserRecord } from "../../server/users";
 
 export const prerender = false;
 
@@ -44,6 +46,22 @@ const parseRequestBody = async (request: Request): Promise<{ username: string |
 	};
 };
 
+const resolveUser = async (username: string | null, password: string | null): Promise<UserRecord | null> => {
+	if (!username || !password) {
+		return null;
+	}
+
+	if (await hasUsers()) {
+		return authenticateUser(username, password);
+	}
+
+	if (verifyCredentials(username, password)) {
+		return bootstrapAdminUser(username, password);
+	}
+
+	return null;
+};
+
 export const POST: APIRoute = async (context) => {
 	const { request, cookies } = context;
 
@@ -59,12 +77,14 @@ export const POST: APIRoute = async (context) => {
 	const { username, password, rememberMe } = await parseRequestBody(request);
 	const redirectTarget = safeRedirectTarget(redirectParam);
 
-	if (!verifyCredentials(username, password)) {
+	const user = await resolveUser(username, password);
+
+	if (!user) {
 		const failureTarget = redirectParam ? `/login?error=invalid&redirect=${encodeURIComponent(redirectParam)}` : "/login?error=invalid";
 		return buildRedirectResponse(failureTarget, 303);
 	}
 
-	createSession(cookies, username!, rememberMe, request);
+	createSession(cookies, user.id, rememberMe, request);
 
 	return buildRedirectResponse(redirectTarget, 303);
 };
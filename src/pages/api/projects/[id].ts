@@ -0,0 +1,50 @@
+import type { APIRoute } from 'astro';
+import { deleteProject } from '../../../server/settings';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+export const DELETE: APIRoute = async ({ params }) => {
+  const projectId = params.id ?? '';
+
+  if (projectId === DEFAULT_PROJECT_ID) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'デフォルトプロジェクトは削除できません。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const deleted = await deleteProject(projectId);
+    if (!deleted) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '指定したプロジェクトは見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+    return jsonResponse({ ok: true });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'プロジェクトの削除に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
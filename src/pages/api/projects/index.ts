@@ -0,0 +1,70 @@
+import type { APIRoute } from 'astro';
+import { createProject, readProjects } from '../../../server/settings';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+export const GET: APIRoute = async () => {
+  try {
+    const projects = await readProjects();
+    return jsonResponse({ ok: true, data: projects });
+  } catch (error) {
+    const details = (error as Error & { details?: string[] }).details;
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'プロジェクト一覧の取得に失敗しました。',
+        details
+      },
+      { status: 500 }
+    );
+  }
+};
+
+export const POST: APIRoute = async ({ request }) => {
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const project = await createProject((payload ?? {}) as Record<string, unknown>);
+    return jsonResponse({ ok: true, data: project }, { status: 201 });
+  } catch (error) {
+    const details = (error as Error & { details?: string[] }).details;
+    if (details) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'プロジェクトの作成に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,116 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../server/settings';
+import { deleteReview, ReviewValidationError, saveReview } from '../../../server/reviews';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const resolveRequestedProject = (url: URL): string => url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+/**
+ * Records the verdict for the node with this fingerprint. The signed-in user is the reviewer when authentication is
+ * enabled; otherwise `reviewer` must be sent with the verdict.
+ */
+export const PUT: APIRoute = async ({ params, request, url, locals }) => {
+  const projectId = resolveRequestedProject(url);
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  const input = (payload ?? {}) as Record<string, unknown>;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const review = await saveReview(projectId, params.id ?? '', {
+      url: input.url,
+      ruleId: input.ruleId,
+      target: input.target,
+      verdict: input.verdict,
+      note: input.note,
+      reviewer: locals.user ? locals.user.username : input.reviewer
+    });
+    return jsonResponse({ ok: true, data: review });
+  } catch (error) {
+    if (error instanceof ReviewValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: '確認結果の保存に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+export const DELETE: APIRoute = async ({ params, url }) => {
+  const projectId = resolveRequestedProject(url);
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const deleted = await deleteReview(projectId, params.id ?? '');
+    if (!deleted) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '指定した項目の確認結果は見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+    return jsonResponse({ ok: true });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '確認結果の削除に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,44 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../server/settings';
+import { listReviews } from '../../../server/reviews';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+/**
+ * Lists the manual verdicts recorded for a project's "needs review" items.
+ */
+export const GET: APIRoute = async ({ url }) => {
+  const projectId = url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    return jsonResponse({ ok: true, data: await listReviews(projectId) });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '確認結果を読み込めませんでした。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,49 @@
+import type { APIRoute } from 'astro';
+import { compareRuns } from '../../../../../server/reports';
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ params }) => {
+  const runId = params.id ?? '';
+  const baseRunId = params.baseId ?? '';
+
+  if (!runId || !baseRunId) {
+    return new Response(
+      JSON.stringify({ ok: false, error: '比較する runId を2つ指定してください。' }),
+      {
+        status: 400,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      }
+    );
+  }
+
+  try {
+    const comparison = await compareRuns(runId, baseRunId);
+
+    if (!comparison) {
+      return new Response(
+        JSON.stringify({ ok: false, error: '指定したレポートは見つかりません。' }),
+        {
+          status: 404,
+          headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ ok: true, data: comparison }),
+      {
+        status: 200,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      }
+    );
+  } catch (error) {
+    return new Response(
+      JSON.stringify({ ok: false, error: 'レポートの比較に失敗しました。' }),
+      {
+        status: 500,
+        headers: { 'Content-Type': 'application/json; charset=utf-8' }
+      }
+    );
+  }
+};
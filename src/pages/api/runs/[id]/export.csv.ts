@@ -0,0 +1,64 @@
+import type { APIRoute } from 'astro';
+import { buildRunExport, toCsv } from '../../../../server/run-export';
+import { resolveReportLocale } from '../../../../../shared/report-translations.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const SHEETS = ['pages', 'nodes'] as const;
+
+/**
+ * A CSV file holds one sheet: the page summary by default, or the node details with `sheet=nodes`. Header labels
+ * follow `locale` (`ja` or `en`).
+ */
+export const GET: APIRoute = async ({ params, url }) => {
+  const runId = params.id ?? '';
+  const sheet = url.searchParams.get('sheet') ?? 'pages';
+
+  if (!(SHEETS as readonly string[]).includes(sheet)) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: `sheet には ${SHEETS.join(' / ')} のいずれかを指定してください。`
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const exported = await buildRunExport(runId, resolveReportLocale(url.searchParams.get('locale')));
+    if (!exported) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '指定したレポートは見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+
+    return new Response(toCsv(exported[sheet as (typeof SHEETS)[number]].rows), {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${runId}-${sheet}.csv"`
+      }
+    });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'レポートの書き出しに失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,52 @@
+import type { APIRoute } from 'astro';
+import { buildRunExport } from '../../../../server/run-export';
+import { resolveReportLocale } from '../../../../../shared/report-translations.js';
+import { buildXlsx } from '../../../../server/xlsx';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+/**
+ * One workbook with the page summary and the node details as separate sheets. Header labels follow `locale`
+ * (`ja` or `en`).
+ */
+export const GET: APIRoute = async ({ params, url }) => {
+  const runId = params.id ?? '';
+
+  try {
+    const exported = await buildRunExport(runId, resolveReportLocale(url.searchParams.get('locale')));
+    if (!exported) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '指定したレポートは見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+
+    return new Response(new Uint8Array(buildXlsx([exported.pages, exported.nodes])), {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${runId}.xlsx"`
+      }
+    });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'レポートの書き出しに失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
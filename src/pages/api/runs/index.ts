@@ -1,11 +1,14 @@
 import type { APIRoute } from 'astro';
-import { readReportsIndex } from '../../../server/reports';
+import { listUnfinishedRuns, readReportsIndex } from '../../../server/reports';
+import { lookupProject } from '../../../server/settings';
+import { JobConflictError, startJob } from '../../../server/jobs';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
 
 export const prerender = false;
 
-export const GET: APIRoute = async () => {
+export const GET: APIRoute = async ({ url }) => {
   try {
-    const index = await readReportsIndex();
+    const index = await readReportsIndex(url.searchParams.get('project'));
     return new Response(
       JSON.stringify({ ok: true, data: index.runs }),
       {
@@ -26,3 +29,85 @@ export const GET: APIRoute = async () => {
     );
   }
 };
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+/**
+ * Starts the generate → reporter → summary pipeline for one project as a background job.
+ * Passing `resumeRunId` continues an interrupted run listed by `GET /api/runs/unfinished` instead.
+ */
+export const POST: APIRoute = async ({ request, url, locals }) => {
+  let payload: Record<string, unknown> = {};
+
+  if ((request.headers.get('content-type') ?? '').includes('application/json')) {
+    try {
+      payload = ((await request.json()) ?? {}) as Record<string, unknown>;
+    } catch {
+      return jsonResponse(
+        {
+          ok: false,
+          error: 'JSON 形式でデータを送信してください。'
+        },
+        { status: 400 }
+      );
+    }
+  }
+
+  const projectId =
+    typeof payload.projectId === 'string' ? payload.projectId : (url.searchParams.get('project') ?? DEFAULT_PROJECT_ID);
+  const resumeRunId = typeof payload.resumeRunId === 'string' && payload.resumeRunId ? payload.resumeRunId : null;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const { project } = lookup;
+
+    if (resumeRunId && !(await listUnfinishedRuns(project.id)).some((run) => run.runId === resumeRunId)) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '再開できる中断されたテストが見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+
+    const job = await startJob(project.id, locals.user?.username ?? null, resumeRunId);
+    return jsonResponse({ ok: true, data: job }, { status: 202, headers: { Location: `/api/jobs/${job.id}` } });
+  } catch (error) {
+    if (error instanceof JobConflictError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: error.message,
+          data: error.job
+        },
+        { status: 409 }
+      );
+    }
+    const details = (error as Error & { details?: string[] }).details;
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'テストの開始に失敗しました。',
+        details
+      },
+      { status: 500 }
+    );
+  }
+};
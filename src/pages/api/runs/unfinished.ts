@@ -0,0 +1,28 @@
+import type { APIRoute } from 'astro';
+import { listUnfinishedRuns } from '../../../server/reports';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+export const GET: APIRoute = async ({ url }) => {
+  try {
+    const runs = await listUnfinishedRuns(url.searchParams.get('project'));
+    return jsonResponse({ ok: true, data: runs });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '中断されたテストの取得に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,63 @@
+import type { APIRoute } from 'astro';
+import {
+  getNextRunTimes,
+  normalizeSchedule,
+  normalizeTimeZone,
+  toCronExpression,
+  validateSchedule
+} from '../../../../shared/cron.js';
+
+export const prerender = false;
+
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+/**
+ * Takes the same fields as `settings.schedule` as query parameters, e.g.
+ * `?preset=weekly&time=09:30&weekday=1&timezone=Asia/Tokyo` or `?preset=custom&cron=0 9 * * 1-5`.
+ */
+export const GET: APIRoute = async ({ url }) => {
+  const params = url.searchParams;
+  const schedule = normalizeSchedule({
+    preset: params.get('preset') ?? undefined,
+    time: params.get('time') ?? undefined,
+    weekday: params.get('weekday') ?? undefined,
+    dayOfMonth: params.get('dayOfMonth') ?? undefined,
+    cron: params.get('cron') ?? undefined
+  });
+  const timezone = normalizeTimeZone(params.get('timezone'));
+
+  const errors = validateSchedule(schedule, timezone);
+  if (errors.length > 0) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'スケジュールの指定に誤りがあります。',
+        details: errors
+      },
+      { status: 422 }
+    );
+  }
+
+  const requestedCount = Number.parseInt(params.get('count') ?? '', 10);
+  const count = Number.isFinite(requestedCount) ? Math.min(Math.max(requestedCount, 1), MAX_COUNT) : DEFAULT_COUNT;
+  const cron = toCronExpression(schedule);
+
+  return jsonResponse({
+    ok: true,
+    data: {
+      cron,
+      timezone,
+      nextRuns: getNextRunTimes(cron, timezone, count).map((date) => date.toISOString())
+    }
+  });
+};
@@ -1,5 +1,8 @@
 import type { APIRoute } from 'astro';
-import { readSettings, saveSettings, validateSettings } from '../../server/settings';
+import { isAuthenticationEnabled } from '../../server/auth';
+import { lookupProject, saveSettings, validateSettings } from '../../server/settings';
+import { hasRole } from '../../server/users';
+import { DEFAULT_PROJECT_ID } from '../../../shared/projects.js';
 
 export const prerender = false;
 
@@ -12,22 +15,36 @@ const jsonResponse = (body: unknown, init?: ResponseInit) =>
     }
   });
 
-export const GET: APIRoute = async () => {
+const resolveRequestedProject = (url: URL): string => url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+export const GET: APIRoute = async ({ url }) => {
   try {
-    const settings = await readSettings();
-    return jsonResponse({ ok: true, data: settings });
+    const lookup = await lookupProject(resolveRequestedProject(url));
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    return jsonResponse({ ok: true, data: lookup.project });
   } catch (error) {
+    const details = (error as Error & { details?: string[] }).details;
     return jsonResponse(
       {
         ok: false,
-        error: '設定の読み込みに失敗しました。'
+        error: '設定の読み込みに失敗しました。',
+        details
       },
       { status: 500 }
     );
   }
 };
 
-export const POST: APIRoute = async ({ request }) => {
+export const POST: APIRoute = async ({ request, url, locals }) => {
+  const projectId = resolveRequestedProject(url);
   let payload: unknown;
 
   try {
@@ -56,7 +73,36 @@ export const POST: APIRoute = async ({ request }) => {
   }
 
   try {
-    const saved = await saveSettings(validation.value);
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+
+    // The authentication profile decides which server environment variables are sent to the tested site, so only
+    // administrators may change it. Leaving `auth` out of the request keeps the current profile.
+    const { project } = lookup;
+    const auth = (payload as { auth?: unknown })?.auth === undefined ? project.auth : validation.value.auth;
+    if (isAuthenticationEnabled() && !hasRole(locals.user, 'admin') && JSON.stringify(auth) !== JSON.stringify(project.auth)) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '認証の設定を変更するには管理者の権限が必要です。'
+        },
+        { status: 403 }
+      );
+    }
+
+    const name = (payload as { name?: unknown })?.name;
+    const saved = await saveSettings(
+      { ...validation.value, auth, ...(typeof name === 'string' ? { name } : {}) },
+      projectId
+    );
     return jsonResponse({ ok: true, data: saved });
   } catch (error) {
     const details = (error as Error & { details?: string[] }).details;
@@ -0,0 +1,122 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../server/settings';
+import { deleteSuppression, SuppressionValidationError, updateSuppression } from '../../../server/suppressions';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const resolveRequestedProject = (url: URL): string => url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+const notFound = () =>
+  jsonResponse(
+    {
+      ok: false,
+      error: '指定した抑制は見つかりません。'
+    },
+    { status: 404 }
+  );
+
+/**
+ * The author stays the user who registered the suppression while authentication is enabled.
+ */
+export const PATCH: APIRoute = async ({ params, request, url, locals }) => {
+  const projectId = resolveRequestedProject(url);
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  const { ruleId, target, urlPattern, status, reason, author, expiresAt } = (payload ?? {}) as Record<string, unknown>;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const suppression = await updateSuppression(projectId, params.id ?? '', {
+      ruleId,
+      target,
+      urlPattern,
+      status,
+      reason,
+      author: locals.user ? undefined : author,
+      expiresAt
+    });
+    if (!suppression) {
+      return notFound();
+    }
+    return jsonResponse({ ok: true, data: suppression });
+  } catch (error) {
+    if (error instanceof SuppressionValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: '抑制の更新に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+export const DELETE: APIRoute = async ({ params, url }) => {
+  const projectId = resolveRequestedProject(url);
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const deleted = await deleteSuppression(projectId, params.id ?? '');
+    if (!deleted) {
+      return notFound();
+    }
+    return jsonResponse({ ok: true });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '抑制の削除に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
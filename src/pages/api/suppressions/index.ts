@@ -0,0 +1,101 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../../server/settings';
+import { createSuppression, readSuppressions, SuppressionValidationError } from '../../../server/suppressions';
+import { DEFAULT_PROJECT_ID } from '../../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const resolveRequestedProject = (url: URL): string => url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+export const GET: APIRoute = async ({ url }) => {
+  const projectId = resolveRequestedProject(url);
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    return jsonResponse({ ok: true, data: await readSuppressions(projectId) });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: '抑制の一覧を読み込めませんでした。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+/**
+ * With authentication enabled the signed-in user is recorded as the author; otherwise `author` must be sent.
+ */
+export const POST: APIRoute = async ({ request, url, locals }) => {
+  const projectId = resolveRequestedProject(url);
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  const input = (payload ?? {}) as Record<string, unknown>;
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const suppression = await createSuppression(projectId, {
+      ...input,
+      author: locals.user ? locals.user.username : input.author
+    });
+    return jsonResponse({ ok: true, data: suppression }, { status: 201 });
+  } catch (error) {
+    if (error instanceof SuppressionValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: '抑制の登録に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,56 @@
+import type { APIRoute } from 'astro';
+import { revokeToken } from '../../../server/tokens';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+export const DELETE: APIRoute = async ({ params, locals }) => {
+  if (!locals.user) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'ユーザー認証が無効のため API トークンは利用できません。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const revoked = await revokeToken(params.id ?? '', locals.user);
+    if (revoked === null) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '指定した API トークンは見つかりません。'
+        },
+        { status: 404 }
+      );
+    }
+    if (!revoked) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '他のユーザーの API トークンは無効化できません。'
+        },
+        { status: 403 }
+      );
+    }
+    return jsonResponse({ ok: true });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'API トークンの無効化に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
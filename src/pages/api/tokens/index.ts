@@ -0,0 +1,84 @@
+import type { APIRoute } from 'astro';
+import { createToken, listTokens, TokenValidationError } from '../../../server/tokens';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const authenticationDisabled = () =>
+  jsonResponse(
+    {
+      ok: false,
+      error: 'ユーザー認証が無効のため API トークンは利用できません。'
+    },
+    { status: 400 }
+  );
+
+export const GET: APIRoute = async ({ locals }) => {
+  if (!locals.user) {
+    return authenticationDisabled();
+  }
+
+  try {
+    const tokens = await listTokens(locals.user);
+    return jsonResponse({ ok: true, data: tokens });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'API トークン一覧の取得に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+export const POST: APIRoute = async ({ request, locals }) => {
+  if (!locals.user) {
+    return authenticationDisabled();
+  }
+
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { token, record } = await createToken(locals.user, (payload ?? {}) as Record<string, unknown>);
+    return jsonResponse({ ok: true, data: { ...record, token } }, { status: 201 });
+  } catch (error) {
+    if (error instanceof TokenValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'API トークンの作成に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
@@ -0,0 +1,109 @@
+import type { APIRoute } from 'astro';
+import { lookupProject } from '../../server/settings';
+import {
+  readCurrentUrlList,
+  readUrlListOverrides,
+  saveUrlListOverrides,
+  validateUrlListPayload
+} from '../../server/url-list';
+import { DEFAULT_PROJECT_ID } from '../../../shared/projects.js';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const resolveRequestedProject = (url: URL): string => url.searchParams.get('project')?.trim() || DEFAULT_PROJECT_ID;
+
+/**
+ * Returns the manual, pinned and excluded URLs together with the URL list that was generated last.
+ */
+export const GET: APIRoute = async ({ url }) => {
+  const projectId = resolveRequestedProject(url);
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+    const [overrides, urls] = await Promise.all([readUrlListOverrides(projectId), readCurrentUrlList(projectId)]);
+    return jsonResponse({ ok: true, data: { ...overrides, urls } });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'URL リストの読み込みに失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+/**
+ * Replaces the manual, pinned and excluded URLs. They are merged into the URL list the next time it is generated.
+ * Added URLs are checked against the origins the project's authentication profile may send credentials to.
+ */
+export const POST: APIRoute = async ({ request, url }) => {
+  const projectId = resolveRequestedProject(url);
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const lookup = await lookupProject(projectId);
+    if (lookup.error) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: lookup.error.message
+        },
+        { status: lookup.error.status }
+      );
+    }
+
+    const validation = validateUrlListPayload(payload, lookup.project.auth);
+    if (!validation.valid) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: validation.errors
+        },
+        { status: 422 }
+      );
+    }
+
+    await saveUrlListOverrides(validation.value, projectId);
+    return jsonResponse({ ok: true, data: validation.value });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'URL リストの保存に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
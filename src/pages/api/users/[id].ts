@@ -0,0 +1,102 @@
+import type { APIRoute } from 'astro';
+import { deleteUser, updateUser, UserValidationError } from '../../../server/users';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+const notFound = () =>
+  jsonResponse(
+    {
+      ok: false,
+      error: '指定したユーザーは見つかりません。'
+    },
+    { status: 404 }
+  );
+
+const validationFailed = (error: UserValidationError) =>
+  jsonResponse(
+    {
+      ok: false,
+      error: '入力内容に誤りがあります。',
+      details: error.details
+    },
+    { status: 422 }
+  );
+
+export const PATCH: APIRoute = async ({ params, request }) => {
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  const { role, password } = (payload ?? {}) as Record<string, unknown>;
+
+  try {
+    const user = await updateUser(params.id ?? '', { role, password });
+    if (!user) {
+      return notFound();
+    }
+    return jsonResponse({ ok: true, data: user });
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return validationFailed(error);
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'ユーザーの更新に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+export const DELETE: APIRoute = async ({ params, locals }) => {
+  const userId = params.id ?? '';
+
+  if (locals.user?.id === userId) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'ログイン中のユーザーは削除できません。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const deleted = await deleteUser(userId);
+    if (!deleted) {
+      return notFound();
+    }
+    return jsonResponse({ ok: true });
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return validationFailed(error);
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'ユーザーの削除に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
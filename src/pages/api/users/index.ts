@@ -0,0 +1,67 @@
+import type { APIRoute } from 'astro';
+import { createUser, listUsers, UserValidationError } from '../../../server/users';
+
+export const prerender = false;
+
+const jsonResponse = (body: unknown, init?: ResponseInit) =>
+  new Response(JSON.stringify(body), {
+    status: init?.status ?? 200,
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      ...(init?.headers ?? {})
+    }
+  });
+
+export const GET: APIRoute = async () => {
+  try {
+    const users = await listUsers();
+    return jsonResponse({ ok: true, data: users });
+  } catch (error) {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'ユーザー一覧の取得に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
+
+export const POST: APIRoute = async ({ request }) => {
+  let payload: unknown;
+
+  try {
+    payload = await request.json();
+  } catch {
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'JSON 形式でデータを送信してください。'
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const user = await createUser((payload ?? {}) as Record<string, unknown>);
+    return jsonResponse({ ok: true, data: user }, { status: 201 });
+  } catch (error) {
+    if (error instanceof UserValidationError) {
+      return jsonResponse(
+        {
+          ok: false,
+          error: '入力内容に誤りがあります。',
+          details: error.details
+        },
+        { status: 422 }
+      );
+    }
+    return jsonResponse(
+      {
+        ok: false,
+        error: 'ユーザーの作成に失敗しました。'
+      },
+      { status: 500 }
+    );
+  }
+};
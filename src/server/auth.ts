@@ -78,6 +78,9 @@ const parseToken = (token: string | undefined | null): SessionPayload | null =>
 
 export const isAuthenticationEnabled = (): boolean => toBoolean(import.meta.env.USER_AUTHENTICATION);
 
+/**
+ * Checks the `ADMIN_USERNAME`/`ADMIN_PASSWORD` pair. Only used to bootstrap the first admin while the user store is empty.
+ */
 export const verifyCredentials = (username: string | null, password: string | null): boolean => {
 	const adminUsername = getAdminUsername();
 	const adminPassword = getAdminPassword();
@@ -129,9 +132,9 @@ const isSecureRequest = (request: Request): boolean => {
 	}
 };
 
-export const createSession = (cookies: CookieTarget, username: string, rememberMe: boolean, request: Request): void => {
+export const createSession = (cookies: CookieTarget, userId: string, rememberMe: boolean, request: Request): void => {
 	const exp = resolveExpiry(rememberMe);
-	const payload: SessionPayload = { sub: username, exp };
+	const payload: SessionPayload = { sub: userId, exp };
 	const token = buildToken(payload);
 
 	const secure = isSecureRequest(request) || import.meta.env.PROD;
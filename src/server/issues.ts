@@ -0,0 +1,171 @@
+import { randomUUID } from 'node:crypto';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_PROJECT_ID, issuesFilenameFor } from '../../shared/projects.js';
+import { ISSUE_STATUSES } from '../../shared/issues.js';
+
+export type IssueStatus = 'open' | 'in-progress' | 'fixed' | 'reopened';
+
+export type IssueComment = {
+  id: string;
+  author: string;
+  body: string;
+  createdAt: string;
+};
+
+export type Issue = {
+  fingerprint: string;
+  url: string;
+  ruleId: string;
+  target: string;
+  htmlHash: string;
+  html: string;
+  help: string;
+  impact: string | null;
+  status: IssueStatus;
+  firstSeenRunId: string;
+  firstSeenAt: string;
+  lastSeenRunId: string;
+  lastSeenAt: string;
+  /** Run in which the issue was last found to be gone; null while it is still open. */
+  fixedRunId: string | null;
+  assignee: string | null;
+  comments: IssueComment[];
+  updatedAt: string;
+};
+
+type IssueRegistry = {
+  lastRunId?: string | null;
+  lastRunAt?: string | null;
+  issues: Issue[];
+};
+
+export type IssueFilter = {
+  status?: string | null;
+  url?: string | null;
+  ruleId?: string | null;
+};
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const MAX_NAME_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 2000;
+
+export class IssueValidationError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super('課題の情報にエラーがあります。');
+    this.name = 'IssueValidationError';
+    this.details = details;
+  }
+}
+
+const filePathFor = (projectId: string) => path.join(DATA_DIR, issuesFilenameFor(projectId));
+
+const readRegistry = async (projectId: string): Promise<IssueRegistry> => {
+  try {
+    const parsed = JSON.parse(await readFile(filePathFor(projectId), 'utf-8')) as IssueRegistry;
+    if (!parsed || !Array.isArray(parsed.issues)) {
+      return { issues: [] };
+    }
+    return parsed;
+  } catch {
+    return { issues: [] };
+  }
+};
+
+const writeRegistry = async (registry: IssueRegistry, projectId: string) => {
+  await mkdir(DATA_DIR, { recursive: true });
+  await writeFile(filePathFor(projectId), JSON.stringify(registry, null, 2), 'utf-8');
+};
+
+const isIssueStatus = (value: unknown): value is IssueStatus =>
+  typeof value === 'string' && (ISSUE_STATUSES as readonly string[]).includes(value);
+
+/**
+ * Issues seen most recently come first.
+ */
+export const listIssues = async (projectId: string = DEFAULT_PROJECT_ID, filter: IssueFilter = {}): Promise<Issue[]> => {
+  const { issues } = await readRegistry(projectId);
+  return issues
+    .filter((issue) => !filter.status || issue.status === filter.status)
+    .filter((issue) => !filter.url || issue.url === filter.url)
+    .filter((issue) => !filter.ruleId || issue.ruleId === filter.ruleId)
+    .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+};
+
+export const readIssueMap = async (projectId: string = DEFAULT_PROJECT_ID): Promise<Map<string, Issue>> => {
+  const { issues } = await readRegistry(projectId);
+  return new Map(issues.map((issue) => [issue.fingerprint, issue]));
+};
+
+export const findIssue = async (projectId: string, fingerprint: string): Promise<Issue | null> =>
+  (await readIssueMap(projectId)).get(fingerprint) ?? null;
+
+/**
+ * Changes the status or the assignee; an empty assignee clears it. Returns null when the issue does not exist.
+ * Runs still move the status on: a `fixed` issue that is found again becomes `reopened`.
+ */
+export const updateIssue = async (
+  projectId: string,
+  fingerprint: string,
+  input: { status?: unknown; assignee?: unknown }
+): Promise<Issue | null> => {
+  const registry = await readRegistry(projectId);
+  const issue = registry.issues.find((entry) => entry.fingerprint === fingerprint);
+  if (!issue) return null;
+
+  const errors: string[] = [];
+  if (input.status !== undefined && !isIssueStatus(input.status)) {
+    errors.push(`状態は ${ISSUE_STATUSES.join(' / ')} のいずれかを指定してください。`);
+  }
+  const assignee = typeof input.assignee === 'string' ? input.assignee.trim() : input.assignee;
+  if (assignee !== undefined && assignee !== null && (typeof assignee !== 'string' || assignee.length > MAX_NAME_LENGTH)) {
+    errors.push(`担当者は ${MAX_NAME_LENGTH} 文字以内で指定してください。`);
+  }
+  if (errors.length > 0) {
+    throw new IssueValidationError(errors);
+  }
+
+  if (isIssueStatus(input.status)) {
+    issue.status = input.status;
+  }
+  if (assignee !== undefined) {
+    issue.assignee = typeof assignee === 'string' && assignee ? assignee : null;
+  }
+  issue.updatedAt = new Date().toISOString();
+
+  await writeRegistry(registry, projectId);
+  return issue;
+};
+
+export const addIssueComment = async (
+  projectId: string,
+  fingerprint: string,
+  input: { author?: unknown; body?: unknown }
+): Promise<IssueComment | null> => {
+  const registry = await readRegistry(projectId);
+  const issue = registry.issues.find((entry) => entry.fingerprint === fingerprint);
+  if (!issue) return null;
+
+  const errors: string[] = [];
+  const author = typeof input.author === 'string' ? input.author.trim() : '';
+  const body = typeof input.body === 'string' ? input.body.trim() : '';
+  if (!author || author.length > MAX_NAME_LENGTH) {
+    errors.push(`投稿者は 1〜${MAX_NAME_LENGTH} 文字で指定してください。`);
+  }
+  if (!body || body.length > MAX_COMMENT_LENGTH) {
+    errors.push(`コメントは 1〜${MAX_COMMENT_LENGTH} 文字で指定してください。`);
+  }
+  if (errors.length > 0) {
+    throw new IssueValidationError(errors);
+  }
+
+  const now = new Date().toISOString();
+  const comment: IssueComment = { id: randomUUID(), author, body, createdAt: now };
+  issue.comments = [...(Array.isArray(issue.comments) ? issue.comments : []), comment];
+  issue.updatedAt = now;
+
+  await writeRegistry(registry, projectId);
+  return comment;
+};
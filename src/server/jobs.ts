@@ -0,0 +1,253 @@
+import { spawn } from 'node:child_process';
+import type { ChildProcess } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import path from 'node:path';
+import { readRunLock } from '../../shared/run-lock.js';
+
+export type JobStatus = 'running' | 'succeeded' | 'failed' | 'cancelled';
+
+export type JobProgress = {
+  total: number | null;
+  completed: number;
+  failed: number;
+};
+
+export type Job = {
+  id: string;
+  projectId: string;
+  resumeRunId: string | null;
+  status: JobStatus;
+  requestedBy: string | null;
+  startedAt: string;
+  finishedAt: string | null;
+  exitCode: number | null;
+  progress: JobProgress;
+};
+
+export type JobEvent = { type: 'log'; line: string } | { type: 'status'; job: Job };
+
+type JobState = {
+  job: Job;
+  child: ChildProcess;
+  logs: string[];
+  listeners: Set<(event: JobEvent) => void>;
+};
+
+const SCHEDULER_PATH = path.resolve(process.cwd(), 'script', 'scheduler.mjs');
+const MAX_LOG_LINES = 2000;
+const MAX_FINISHED_JOBS = 20;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+const FOUND_URLS_PATTERN = /Found (\d+) valid URLs to process/;
+const COMPLETED_URL_PATTERN = /^Completed! \d+\/\d+:/;
+const FAILED_URL_PATTERN = /^Failed to process URL:/;
+
+const jobs = new Map<string, JobState>();
+
+/**
+ * `job` is null when the run in progress was not started from this server, e.g. by the scheduler.
+ */
+export class JobConflictError extends Error {
+  job: Job | null;
+
+  constructor(job: Job | null, projectId?: string) {
+    super(job ? '他のテストが実行中です。' : `スケジューラによるテスト（プロジェクト: ${projectId}）が実行中です。`);
+    this.name = 'JobConflictError';
+    this.job = job;
+  }
+}
+
+const snapshot = (state: JobState): Job => ({ ...state.job, progress: { ...state.job.progress } });
+
+const emit = (state: JobState, event: JobEvent) => {
+  for (const listener of state.listeners) {
+    listener(event);
+  }
+};
+
+/**
+ * Counts progress from the reporter's own console output, so the pipeline scripts need no extra IPC channel.
+ */
+const applyProgress = (progress: JobProgress, line: string): boolean => {
+  const found = line.match(FOUND_URLS_PATTERN);
+  if (found) {
+    progress.total = Number.parseInt(found[1], 10);
+    progress.completed = 0;
+    progress.failed = 0;
+    return true;
+  }
+  if (COMPLETED_URL_PATTERN.test(line)) {
+    progress.completed += 1;
+    return true;
+  }
+  if (FAILED_URL_PATTERN.test(line)) {
+    progress.failed += 1;
+    return true;
+  }
+  return false;
+};
+
+const appendLine = (state: JobState, rawLine: string) => {
+  const line = rawLine.replace(ANSI_PATTERN, '');
+  state.logs.push(line);
+  if (state.logs.length > MAX_LOG_LINES) {
+    state.logs.splice(0, state.logs.length - MAX_LOG_LINES);
+  }
+  emit(state, { type: 'log', line });
+  if (applyProgress(state.job.progress, line.trim())) {
+    emit(state, { type: 'status', job: snapshot(state) });
+  }
+};
+
+const pipeLines = (state: JobState, stream: NodeJS.ReadableStream | null) => {
+  if (!stream) return;
+  let buffer = '';
+  stream.setEncoding('utf-8');
+  stream.on('data', (chunk: string) => {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop() ?? '';
+    lines.forEach((line) => appendLine(state, line));
+  });
+  stream.on('end', () => {
+    if (buffer) {
+      appendLine(state, buffer);
+      buffer = '';
+    }
+  });
+};
+
+const pruneFinishedJobs = () => {
+  const finished = [...jobs.values()].filter((state) => state.job.finishedAt);
+  finished
+    .sort((a, b) => b.job.startedAt.localeCompare(a.job.startedAt))
+    .slice(MAX_FINISHED_JOBS)
+    .forEach((state) => jobs.delete(state.job.id));
+};
+
+/**
+ * A cancelled job stays active until its process has actually exited.
+ */
+export const findActiveJob = (): Job | null => {
+  for (const state of jobs.values()) {
+    if (!state.job.finishedAt) {
+      return snapshot(state);
+    }
+  }
+  return null;
+};
+
+/**
+ * Starts `scheduler.mjs --once` for one project, or `--resume <runId>` to continue an interrupted run.
+ * Only one job runs at a time because every run writes to the shared reports index. Runs of the long-running
+ * scheduler hold the same run lock, so a job is refused while one of them is in progress as well.
+ */
+export const startJob = async (
+  projectId: string,
+  requestedBy: string | null = null,
+  resumeRunId: string | null = null
+): Promise<Job> => {
+  const active = findActiveJob();
+  if (active) {
+    throw new JobConflictError(active);
+  }
+  const lock = await readRunLock();
+  if (lock) {
+    throw new JobConflictError(null, lock.projectId);
+  }
+
+  const mode = resumeRunId ? ['--resume', resumeRunId] : ['--once'];
+  const child = spawn(process.execPath, [SCHEDULER_PATH, ...mode, '--project', projectId], {
+    cwd: process.cwd(),
+    env: process.env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    // A separate process group lets cancelJob stop the reporter and its browser along with the scheduler.
+    detached: process.platform !== 'win32'
+  });
+
+  const state: JobState = {
+    job: {
+      id: randomUUID(),
+      projectId,
+      resumeRunId,
+      status: 'running',
+      requestedBy,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      exitCode: null,
+      progress: { total: null, completed: 0, failed: 0 }
+    },
+    child,
+    logs: [],
+    listeners: new Set()
+  };
+
+  jobs.set(state.job.id, state);
+  pipeLines(state, child.stdout);
+  pipeLines(state, child.stderr);
+
+  const finish = (exitCode: number | null) => {
+    if (state.job.finishedAt) return;
+    if (state.job.status === 'running') {
+      state.job.status = exitCode === 0 ? 'succeeded' : 'failed';
+    }
+    state.job.exitCode = exitCode;
+    state.job.finishedAt = new Date().toISOString();
+    emit(state, { type: 'status', job: snapshot(state) });
+    state.listeners.clear();
+    pruneFinishedJobs();
+  };
+
+  child.on('error', (error) => {
+    appendLine(state, `ジョブの起動に失敗しました: ${error.message}`);
+    finish(null);
+  });
+  child.on('close', (code) => finish(code));
+
+  return snapshot(state);
+};
+
+export const getJob = (id: string): Job | null => {
+  const state = jobs.get(id);
+  return state ? snapshot(state) : null;
+};
+
+export const listJobs = (): Job[] =>
+  [...jobs.values()].map(snapshot).sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+
+export const getJobLogs = (id: string): string[] => [...(jobs.get(id)?.logs ?? [])];
+
+/**
+ * Returns false when the job has already finished. The final status is set once the child process exits.
+ */
+export const cancelJob = (id: string): boolean | null => {
+  const state = jobs.get(id);
+  if (!state) return null;
+  if (state.job.status !== 'running') return false;
+
+  state.job.status = 'cancelled';
+  emit(state, { type: 'status', job: snapshot(state) });
+
+  const pid = state.child.pid;
+  try {
+    if (pid && process.platform !== 'win32') {
+      process.kill(-pid, 'SIGTERM');
+    } else {
+      state.child.kill('SIGTERM');
+    }
+  } catch {
+    state.child.kill('SIGTERM');
+  }
+  return true;
+};
+
+/**
+ * Subscribes to log lines and status changes. Returns null for unknown jobs and an unsubscribe function otherwise.
+ */
+export const subscribeToJob = (id: string, listener: (event: JobEvent) => void): (() => void) | null => {
+  const state = jobs.get(id);
+  if (!state) return null;
+  state.listeners.add(listener);
+  return () => {
+    state.listeners.delete(listener);
+  };
+};
@@ -1,26 +1,97 @@
-import { readFile } from 'node:fs/promises';
+import { readFile, readdir, stat } from 'node:fs/promises';
 import { existsSync } from 'node:fs';
 import path from 'node:path';
+import { DEFAULT_SETTINGS } from '../../shared/default-settings.js';
+import { DEFAULT_PROJECT_ID } from '../../shared/projects.js';
+import { findUnfinishedRuns } from '../../shared/run-manifest.js';
+import { readRunLock } from '../../shared/run-lock.js';
+import { createSuppressionMatcher, formatNodeTarget } from '../../shared/suppressions.js';
+import type { AxeRunSettings, ScanScope } from './settings';
+import { readSuppressions } from './suppressions';
+import type { Suppression } from './suppressions';
 
 export type ReportIndexEntry = {
   runId: string;
+  projectId?: string;
   runTimestamp?: string;
   generatedAt: string;
   summaryJson: string;
   summaryHtml: string;
   resultsDir: string;
   totalPages: number;
+  failedPageCount?: number;
   globalTotal: number;
+  uniqueTotal?: number;
   tags: string[];
-  mode: string;
+  /** Runs summarized before several viewports could be tested in one run record a single mode. */
+  mode?: string;
+  modes?: string[];
   maxPages: number;
   frequency?: string;
+  schedule?: string;
+  timezone?: string;
+  totals?: Record<string, number>;
+  occurrenceRates?: Record<string, number>;
 };
 
 export type ReportsIndex = {
   runs: ReportIndexEntry[];
 };
 
+export type FailedPage = {
+  url: string;
+  type: 'timeout' | 'http' | 'network' | 'error';
+  message: string;
+  httpStatus: number | null;
+  attempts: number;
+  failedAt: string | null;
+};
+
+/** Device and media settings a page was tested with, as recorded by the reporter. */
+export type ViewportDescriptor = {
+  mode: string;
+  label?: string;
+  width: number;
+  height: number;
+  deviceScaleFactor?: number;
+  isMobile?: boolean;
+  hasTouch?: boolean;
+  userAgent?: string;
+  colorScheme?: string;
+  reducedMotion?: boolean;
+  forcedColors?: boolean;
+};
+
+export type RuleSummary = {
+  id: string;
+  help: string;
+  helpUrl: string;
+  tags: string[];
+  /** Most severe impact among the rule's nodes. */
+  impact: string | null;
+  nodes: number;
+  /** Distinct URLs the rule was found on. */
+  pages: number;
+  /** One entry per tested page and viewport, most affected first. */
+  affectedPages: Array<{ url: string; viewport?: string | null; baseFilename: string; nodes: number }>;
+};
+
+/**
+ * The same rule, normalized target and HTML found on more than one URL, typically a header, footer or navigation
+ * shared by every page.
+ */
+export type SharedComponent = {
+  key: string;
+  ruleId: string;
+  help: string;
+  impact: string | null;
+  target: string;
+  html: string;
+  nodes: number;
+  pages: number;
+  affectedPages: Array<{ url: string; viewport?: string | null; baseFilename: string }>;
+};
+
 export type RunSummary = {
   runId: string;
   runTimestamp?: string;
@@ -28,26 +99,167 @@ export type RunSummary = {
   resultsDir: string;
   totalPages: number;
   globalTotal: number;
+  /** Distinct elements behind `globalTotal`, counting a node repeated across pages once. */
+  uniqueTotal?: number;
   totals: Record<string, number>;
   occurrenceRates: Record<string, number>;
+  /** Modes the run tested each URL in; absent for runs tested in a single viewport. */
+  viewports?: string[];
+  viewportTotals?: Record<string, Record<string, number>>;
+  viewportProfiles?: Record<string, ViewportDescriptor>;
   pages: Array<{
     url: string;
     baseFilename: string;
+    viewport?: string | null;
     minor: number;
     moderate: number;
     serious: number;
     critical: number;
     total: number;
+    /** Nodes left out of the counts above because a suppression covered them. */
+    suppressed?: number;
+    /** Nodes of axe's "incomplete" results, which need a manual check. */
+    incomplete?: number;
+    /** Set when the page answered with a 4xx status but was tested anyway. */
+    httpStatus?: number | null;
   }>;
+  failedPages?: FailedPage[];
+  /** Absent for runs summarized before results were aggregated by rule. */
+  rules?: RuleSummary[];
+  sharedComponents?: SharedComponent[];
+  suppressedTotal?: number;
+  incompleteTotal?: number;
+  /** The suppressions that covered at least one node, as they were when the summary was built. */
+  suppressions?: Suppression[];
   settings: {
+    projectId?: string;
+    projectName?: string;
     sitemapUrl: string;
     tags: string[];
-    mode: string;
+    mode?: string;
+    modes?: string[];
+    /** Selectors that limited where axe looked; absent for runs made before the scope could be set. */
+    scope?: ScanScope;
+    /** Rule selection the run used; absent for runs made before it could be configured. */
+    axe?: AxeRunSettings;
     maxPages: number;
     frequency?: string;
+    schedule?: string;
+    timezone?: string;
+  };
+};
+
+export type AxeNodeResult = {
+  impact?: string | null;
+  html?: string;
+  target?: unknown[];
+  failureSummary?: string;
+};
+
+export type AxeRuleResult = {
+  id: string;
+  impact?: string | null;
+  description?: string;
+  help?: string;
+  helpUrl?: string;
+  tags?: string[];
+  nodes?: AxeNodeResult[];
+};
+
+export type PageResult = {
+  url: string;
+  /** Mode the page was tested in, filled in from where the result file is stored. */
+  viewport?: string | null;
+  reportPath?: string | null;
+  violations: AxeRuleResult[];
+  incomplete?: AxeRuleResult[];
+  metadata?: {
+    runId?: string;
+    baseFilename?: string;
+    locale?: string;
+    screenshotPath?: string | null;
+    attempts?: number;
+    /** Status of the main document; a 4xx page is still tested and keeps its status here. */
+    httpStatus?: number | null;
+    viewport?: ViewportDescriptor;
+    scope?: { include: string[]; exclude: string[] };
+  };
+};
+
+export type ComparedIssue = {
+  ruleId: string;
+  impact: string | null;
+  help: string;
+  helpUrl: string;
+  target: string;
+  html: string;
+};
+
+export type PageComparison = {
+  url: string;
+  viewport: string | null;
+  /** Display name recorded with the results, so custom profiles keep their name in comparisons. */
+  viewportLabel: string | null;
+  baseFilename: string | null;
+  reportPath: string | null;
+  status: 'compared' | 'added' | 'removed';
+  newIssues: ComparedIssue[];
+  fixedIssues: ComparedIssue[];
+  persistingIssues: ComparedIssue[];
+};
+
+export type RuleComparison = {
+  ruleId: string;
+  help: string;
+  helpUrl: string;
+  new: number;
+  fixed: number;
+  persisting: number;
+};
+
+export type RunComparison = {
+  runId: string;
+  baseRunId: string;
+  totals: {
+    new: number;
+    fixed: number;
+    persisting: number;
+  };
+  pages: PageComparison[];
+  rules: RuleComparison[];
+};
+
+export type TrendPoint = {
+  runId: string;
+  timestamp: string;
+  totalPages: number;
+  globalTotal: number;
+  totals: Record<string, number>;
+  occurrenceRates: Record<string, number>;
+};
+
+export type TrendRange = {
+  projectId?: string | null;
+  from?: string | null;
+  to?: string | null;
+  timeZone?: string | null;
+};
+
+export type UnfinishedRun = {
+  runId: string;
+  projectId: string;
+  status: 'running' | 'completed';
+  createdAt: string;
+  updatedAt: string;
+  progress: {
+    total: number;
+    done: number;
+    failed: number;
+    pending: number;
   };
 };
 
+const RESULTS_DIR = path.resolve(process.cwd(), 'src', 'pages', 'results');
 const REPORTS_DIR = path.resolve(process.cwd(), 'data', 'reports');
 const REPORTS_INDEX_PATH = path.join(REPORTS_DIR, 'index.json');
 
@@ -78,7 +290,34 @@ const ensureReportsIndex = async (): Promise<ReportsIndex> => {
   }
 };
 
-export const readReportsIndex = async (): Promise<ReportsIndex> => ensureReportsIndex();
+/**
+ * Detail pages live at `/results/<run>/<mode>/<page>`, or at `/results/<run>/<page>` for runs stored before results
+ * were kept per viewport.
+ */
+export const toPageReportPath = (runId: string, page: { baseFilename: string; viewport?: string | null }): string =>
+  `/results/${runId}/${page.viewport ? `${page.viewport}/` : ''}${page.baseFilename}`;
+
+export const resolveEntryProjectId = (entry: Pick<ReportIndexEntry, 'projectId'>): string => entry.projectId ?? DEFAULT_PROJECT_ID;
+
+export const readReportsIndex = async (projectId?: string | null): Promise<ReportsIndex> => {
+  const index = await ensureReportsIndex();
+  if (!projectId) return index;
+  return { runs: index.runs.filter((entry) => resolveEntryProjectId(entry) === projectId) };
+};
+
+/**
+ * Runs the reporter left unfinished (or that were never summarized), newest first.
+ */
+export const listUnfinishedRuns = async (projectId?: string | null): Promise<UnfinishedRun[]> => {
+  const index = await ensureReportsIndex();
+  const runs = await findUnfinishedRuns(
+    RESULTS_DIR,
+    new Set(index.runs.map((entry) => entry.runId)),
+    projectId ?? null,
+    (await readRunLock())?.runId ?? null
+  );
+  return runs.map(({ runDir: _runDir, ...run }) => run as UnfinishedRun);
+};
 
 export const readRunSummary = async (runId: string): Promise<RunSummary | null> => {
   if (!runId) return null;
@@ -100,3 +339,230 @@ export const readRunSummary = async (runId: string): Promise<RunSummary | null>
     return null;
   }
 };
+
+const toLocalDate = (iso: string, timeZone: string): string => {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return '';
+  return new Intl.DateTimeFormat('sv-SE', { dateStyle: 'short', timeZone }).format(date);
+};
+
+/**
+ * `from` and `to` are calendar days in `timeZone`, the project's time zone, so a run is filtered by the day it ran
+ * where the project's schedule runs.
+ */
+export const readRunTrend = async (range: TrendRange = {}): Promise<TrendPoint[]> => {
+  const index = await readReportsIndex(range.projectId);
+  const from = range.from ?? '';
+  const to = range.to ?? '';
+  const timeZone = range.timeZone || DEFAULT_SETTINGS.timezone;
+  const points: TrendPoint[] = [];
+
+  for (const entry of index.runs) {
+    const timestamp = entry.runTimestamp ?? entry.generatedAt;
+    const day = toLocalDate(timestamp, timeZone);
+    if ((from && day < from) || (to && day > to)) continue;
+
+    let totals = entry.totals;
+    let occurrenceRates = entry.occurrenceRates;
+
+    // Index entries written before the trend view existed only carry globalTotal, so fall back to the summary file.
+    if (!totals || !occurrenceRates) {
+      const summary = await readRunSummary(entry.runId);
+      totals = summary?.totals ?? {};
+      occurrenceRates = summary?.occurrenceRates ?? {};
+    }
+
+    points.push({
+      runId: entry.runId,
+      timestamp,
+      totalPages: entry.totalPages,
+      globalTotal: entry.globalTotal,
+      totals,
+      occurrenceRates
+    });
+  }
+
+  return points.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+};
+
+const MAX_PAGE_RESULT_SIZE = 10 * 1024 * 1024;
+
+export const readRunPageResults = async (runId: string): Promise<PageResult[] | null> => {
+  if (!runId) return null;
+
+  const index = await ensureReportsIndex();
+  const match = index.runs.find((entry) => entry.runId === runId);
+  if (!match) return null;
+
+  const jsonDir = path.join(path.resolve(process.cwd(), match.resultsDir), '_json');
+  if (!existsSync(jsonDir)) {
+    return [];
+  }
+
+  // Results sit in one directory per viewport; files directly under `_json` come from single-viewport runs.
+  const files: Array<{ filePath: string; mode: string | null }> = [];
+  for (const entry of await readdir(jsonDir, { withFileTypes: true })) {
+    if (entry.isFile() && entry.name.endsWith('.json')) {
+      files.push({ filePath: path.join(jsonDir, entry.name), mode: null });
+    } else if (entry.isDirectory()) {
+      const modeFiles = (await readdir(path.join(jsonDir, entry.name))).filter((file) => file.endsWith('.json'));
+      files.push(...modeFiles.map((file) => ({ filePath: path.join(jsonDir, entry.name, file), mode: entry.name })));
+    }
+  }
+
+  const results: PageResult[] = [];
+
+  for (const { filePath, mode } of files) {
+    try {
+      // Checked before reading, so an oversized file is never loaded into memory.
+      if ((await stat(filePath)).size > MAX_PAGE_RESULT_SIZE) continue;
+      const raw = await readFile(filePath, 'utf-8');
+      const parsed = JSON.parse(raw) as PageResult;
+      if (!parsed || typeof parsed.url !== 'string') continue;
+      const baseFilename = parsed.metadata?.baseFilename;
+      results.push({
+        ...parsed,
+        // Single-viewport runs recorded their mode in the index entry, which keeps them comparable with newer runs.
+        viewport: mode ?? match.mode ?? null,
+        reportPath: baseFilename ? toPageReportPath(runId, { baseFilename, viewport: mode }) : null,
+        violations: Array.isArray(parsed.violations) ? parsed.violations : []
+      });
+    } catch {
+      // skip unreadable page results
+    }
+  }
+
+  return results;
+};
+
+type SuppressionMatcher = ReturnType<typeof createSuppressionMatcher>;
+
+const collectIssues = (page: PageResult, findSuppression: SuppressionMatcher): Map<string, ComparedIssue> => {
+  const issues = new Map<string, ComparedIssue>();
+
+  for (const violation of page.violations) {
+    for (const node of Array.isArray(violation.nodes) ? violation.nodes : []) {
+      if (findSuppression(page.url, violation.id, node)) continue;
+      const target = formatNodeTarget(node.target);
+      const key = `${violation.id}\u0000${target}`;
+      if (issues.has(key)) continue;
+      issues.set(key, {
+        ruleId: violation.id,
+        impact: node.impact ?? violation.impact ?? null,
+        help: violation.help ?? '',
+        helpUrl: violation.helpUrl ?? '',
+        target,
+        html: node.html ?? ''
+      });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Both runs are filtered with the project's current suppressions, so an issue suppressed since the base run is
+ * neither new nor fixed.
+ */
+export const compareRuns = async (runId: string, baseRunId: string): Promise<RunComparison | null> => {
+  const [current, base] = await Promise.all([readRunPageResults(runId), readRunPageResults(baseRunId)]);
+  if (!current || !base) return null;
+
+  const entry = (await ensureReportsIndex()).runs.find((run) => run.runId === runId);
+  const findSuppression = createSuppressionMatcher(entry ? await readSuppressions(resolveEntryProjectId(entry)) : []);
+
+  // A page is compared with the same URL tested in the same viewport.
+  const pageKey = (page: Pick<PageResult, 'url' | 'viewport'>) => `${page.url}\u0000${page.viewport ?? ''}`;
+  const currentByKey = new Map(current.map((page) => [pageKey(page), page]));
+  const baseByKey = new Map(base.map((page) => [pageKey(page), page]));
+  const keys = Array.from(new Set([...currentByKey.keys(), ...baseByKey.keys()])).sort((a, b) => a.localeCompare(b));
+
+  const rules = new Map<string, RuleComparison>();
+  const countRule = (issue: ComparedIssue, bucket: 'new' | 'fixed' | 'persisting') => {
+    const entry = rules.get(issue.ruleId) ?? {
+      ruleId: issue.ruleId,
+      help: issue.help,
+      helpUrl: issue.helpUrl,
+      new: 0,
+      fixed: 0,
+      persisting: 0
+    };
+    entry[bucket]++;
+    rules.set(issue.ruleId, entry);
+  };
+
+  const pages: PageComparison[] = keys.map((key) => {
+    const currentPage = currentByKey.get(key);
+    const basePage = baseByKey.get(key);
+    const { url, viewport = null, metadata } = (currentPage ?? basePage) as PageResult;
+    const viewportLabel = metadata?.viewport?.label ?? null;
+
+    // A page that was not tested in the current run has no verdict; its issues are neither new nor fixed.
+    if (!currentPage) {
+      return {
+        url,
+        viewport,
+        viewportLabel,
+        baseFilename: null,
+        reportPath: null,
+        status: 'removed',
+        newIssues: [],
+        fixedIssues: [],
+        persistingIssues: []
+      };
+    }
+
+    const currentIssues = collectIssues(currentPage, findSuppression);
+    const baseIssues = basePage ? collectIssues(basePage, findSuppression) : new Map<string, ComparedIssue>();
+    const newIssues: ComparedIssue[] = [];
+    const fixedIssues: ComparedIssue[] = [];
+    const persistingIssues: ComparedIssue[] = [];
+
+    for (const [key, issue] of currentIssues) {
+      if (baseIssues.has(key)) {
+        persistingIssues.push(issue);
+        countRule(issue, 'persisting');
+      } else {
+        newIssues.push(issue);
+        countRule(issue, 'new');
+      }
+    }
+
+    for (const [key, issue] of baseIssues) {
+      if (!currentIssues.has(key)) {
+        fixedIssues.push(issue);
+        countRule(issue, 'fixed');
+      }
+    }
+
+    return {
+      url,
+      viewport,
+      viewportLabel,
+      baseFilename: currentPage.metadata?.baseFilename ?? null,
+      reportPath: currentPage.reportPath ?? null,
+      status: basePage ? 'compared' : 'added',
+      newIssues,
+      fixedIssues,
+      persistingIssues
+    };
+  });
+
+  const totals = pages.reduce(
+    (acc, page) => {
+      acc.new += page.newIssues.length;
+      acc.fixed += page.fixedIssues.length;
+      acc.persisting += page.persistingIssues.length;
+      return acc;
+    },
+    { new: 0, fixed: 0, persisting: 0 }
+  );
+
+  return {
+    runId,
+    baseRunId,
+    totals,
+    pages,
+    rules: Array.from(rules.values()).sort((a, b) => b.new - a.new || b.fixed - a.fixed || a.ruleId.localeCompare(b.ruleId))
+  };
+};
@@ -0,0 +1,128 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_PROJECT_ID, reviewsFilenameFor } from '../../shared/projects.js';
+
+export const REVIEW_VERDICTS = ['pass', 'fail'] as const;
+
+export type ReviewVerdict = (typeof REVIEW_VERDICTS)[number];
+
+/**
+ * A manual verdict on one of axe's "incomplete" results. It is keyed by the node fingerprint, so the same element
+ * found again in a later run shows the verdict already recorded.
+ */
+export type Review = {
+  fingerprint: string;
+  url: string;
+  ruleId: string;
+  target: string;
+  verdict: ReviewVerdict;
+  note: string;
+  reviewer: string;
+  reviewedAt: string;
+};
+
+type ReviewInput = Partial<Record<'url' | 'ruleId' | 'target' | 'verdict' | 'note' | 'reviewer', unknown>>;
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+const FINGERPRINT_PATTERN = /^[0-9a-f]{24}$/;
+const RULE_ID_PATTERN = /^[a-z0-9-]{1,100}$/;
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 2000;
+
+export class ReviewValidationError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super('確認結果にエラーがあります。');
+    this.name = 'ReviewValidationError';
+    this.details = details;
+  }
+}
+
+const filePathFor = (projectId: string) => path.join(DATA_DIR, reviewsFilenameFor(projectId));
+
+export const listReviews = async (projectId: string = DEFAULT_PROJECT_ID): Promise<Review[]> => {
+  try {
+    const parsed = JSON.parse(await readFile(filePathFor(projectId), 'utf-8')) as { reviews?: unknown };
+    if (!parsed || !Array.isArray(parsed.reviews)) {
+      return [];
+    }
+    return parsed.reviews.filter(
+      (entry): entry is Review => Boolean(entry) && typeof entry.fingerprint === 'string' && typeof entry.verdict === 'string'
+    );
+  } catch {
+    return [];
+  }
+};
+
+export const readReviewMap = async (projectId: string = DEFAULT_PROJECT_ID): Promise<Map<string, Review>> =>
+  new Map((await listReviews(projectId)).map((review) => [review.fingerprint, review]));
+
+const writeReviews = async (reviews: Review[], projectId: string) => {
+  await mkdir(DATA_DIR, { recursive: true });
+  await writeFile(filePathFor(projectId), JSON.stringify({ reviews }, null, 2), 'utf-8');
+};
+
+const isReviewVerdict = (value: unknown): value is ReviewVerdict =>
+  typeof value === 'string' && (REVIEW_VERDICTS as readonly string[]).includes(value);
+
+/**
+ * Records the verdict for a node, replacing any earlier one.
+ */
+export const saveReview = async (projectId: string, fingerprint: string, input: ReviewInput): Promise<Review> => {
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  const ruleId = typeof input.ruleId === 'string' ? input.ruleId.trim() : '';
+  const target = typeof input.target === 'string' ? input.target.trim() : '';
+  const note = typeof input.note === 'string' ? input.note.trim() : '';
+  const reviewer = typeof input.reviewer === 'string' ? input.reviewer.trim() : '';
+
+  const errors: string[] = [];
+  if (!FINGERPRINT_PATTERN.test(fingerprint)) {
+    errors.push('確認対象の指定が正しくありません。');
+  }
+  if (!url) {
+    errors.push('URL を指定してください。');
+  }
+  if (!RULE_ID_PATTERN.test(ruleId)) {
+    errors.push('ルール ID は英小文字・数字・ハイフンで指定してください。');
+  }
+  if (!isReviewVerdict(input.verdict)) {
+    errors.push(`判定は ${REVIEW_VERDICTS.join(' / ')} のいずれかを指定してください。`);
+  }
+  if (note.length > MAX_NOTE_LENGTH) {
+    errors.push(`メモは ${MAX_NOTE_LENGTH} 文字以内で指定してください。`);
+  }
+  if (!reviewer || reviewer.length > MAX_NAME_LENGTH) {
+    errors.push(`確認者は 1〜${MAX_NAME_LENGTH} 文字で指定してください。`);
+  }
+  if (errors.length > 0) {
+    throw new ReviewValidationError(errors);
+  }
+
+  const review: Review = {
+    fingerprint,
+    url,
+    ruleId,
+    target,
+    verdict: input.verdict as ReviewVerdict,
+    note,
+    reviewer,
+    reviewedAt: new Date().toISOString()
+  };
+  const reviews = (await listReviews(projectId)).filter((entry) => entry.fingerprint !== fingerprint);
+  await writeReviews([...reviews, review], projectId);
+  return review;
+};
+
+/**
+ * Puts the node back to unreviewed. Returns false when it had no verdict.
+ */
+export const deleteReview = async (projectId: string, fingerprint: string): Promise<boolean> => {
+  const reviews = await listReviews(projectId);
+  const remaining = reviews.filter((entry) => entry.fingerprint !== fingerprint);
+  if (remaining.length === reviews.length) {
+    return false;
+  }
+  await writeReviews(remaining, projectId);
+  return true;
+};
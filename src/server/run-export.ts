@@ -0,0 +1,103 @@
+import { REPORT_TRANSLATIONS } from '../../shared/report-translations.js';
+import { VIEWPORTS } from '../../shared/default-settings.js';
+import { createSuppressionMatcher, formatNodeTarget } from '../../shared/suppressions.js';
+import { readRunPageResults, readRunSummary } from './reports';
+import type { Suppression } from './suppressions';
+import type { Sheet, SheetCell } from './xlsx';
+
+export type ExportLocale = keyof typeof REPORT_TRANSLATIONS;
+
+export type RunExport = {
+  pages: Sheet;
+  nodes: Sheet;
+};
+
+const IMPACTS = ['minor', 'moderate', 'serious', 'critical'] as const;
+
+/**
+ * The page sheet repeats the per-page counts of the run summary; the node sheet lists every violating node from the
+ * page results, with the suppression that covered it, if any. Returns null when the run has no summary.
+ */
+export const buildRunExport = async (runId: string, locale: ExportLocale = 'ja'): Promise<RunExport | null> => {
+  const summary = await readRunSummary(runId);
+  if (!summary) return null;
+
+  const translations = REPORT_TRANSLATIONS[locale];
+  const viewportLabel = (mode?: string | null) =>
+    mode ? (summary.viewportProfiles?.[mode]?.label ?? VIEWPORTS[mode as keyof typeof VIEWPORTS]?.label ?? mode) : '';
+  const translateImpact = (impact?: string | null) =>
+    impact ? (translations.impactData[impact as keyof typeof translations.impactData] ?? impact) : '';
+
+  const pageRows: SheetCell[][] = [
+    [
+      translations.labelUrl,
+      translations.labelViewport,
+      ...IMPACTS.map((impact) => translations.impactData[impact]),
+      translations.labelTotal,
+      translations.labelSuppressed,
+      translations.labelNeedsReview
+    ],
+    ...summary.pages.map((page) => [
+      page.url,
+      viewportLabel(page.viewport),
+      ...IMPACTS.map((impact) => page[impact]),
+      page.total,
+      page.suppressed ?? null,
+      page.incomplete ?? null
+    ])
+  ];
+
+  const findSuppression = createSuppressionMatcher(
+    summary.suppressions ?? [],
+    new Date(summary.runTimestamp ?? summary.generatedAt)
+  );
+  const nodeRows: SheetCell[][] = [
+    [
+      translations.labelUrl,
+      translations.labelViewport,
+      translations.labelRule,
+      translations.labelImpact,
+      translations.labelTarget,
+      translations.labelTargetHTML,
+      translations.labelFailureSummary,
+      translations.labelHelpUrl,
+      translations.labelExportSuppression
+    ]
+  ];
+  const results = (await readRunPageResults(runId)) ?? [];
+  results.sort((a, b) => a.url.localeCompare(b.url) || (a.viewport ?? '').localeCompare(b.viewport ?? ''));
+  for (const page of results) {
+    for (const violation of page.violations) {
+      for (const node of Array.isArray(violation.nodes) ? violation.nodes : []) {
+        const suppression = findSuppression(page.url, violation.id, node) as Suppression | null;
+        nodeRows.push([
+          page.url,
+          viewportLabel(page.viewport),
+          violation.id,
+          translateImpact(node.impact ?? violation.impact),
+          formatNodeTarget(node.target),
+          node.html ?? '',
+          node.failureSummary ?? '',
+          violation.helpUrl ?? '',
+          suppression ? translations.suppressionStatus[suppression.status] : ''
+        ]);
+      }
+    }
+  }
+
+  return {
+    pages: { name: translations.labelExportPageSheet, rows: pageRows },
+    nodes: { name: translations.labelExportNodeSheet, rows: nodeRows }
+  };
+};
+
+const toCsvField = (value: SheetCell): string => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * RFC 4180 CSV with CRLF line endings. A byte order mark is prepended so Excel opens UTF-8 text correctly.
+ */
+export const toCsv = (rows: SheetCell[][]): string =>
+  '\uFEFF' + rows.map((row) => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
@@ -1,20 +1,119 @@
 import { readFile, writeFile, mkdir } from 'node:fs/promises';
-import { existsSync } from 'node:fs';
 import path from 'node:path';
 import {
   DEFAULT_SETTINGS,
-  ALLOWED_MODES,
   ALLOWED_TAGS,
   MAX_PAGE_LIMIT,
-  ALLOWED_FREQUENCIES
+  DISCOVERY_MODES,
+  CRAWL_DEPTH_LIMIT,
+  MAX_SEED_URLS,
+  URL_ORDERS,
+  SAMPLE_PER_TEMPLATE_LIMIT,
+  SCHEDULE_PRESETS,
+  AUTH_TYPES
 } from '../../shared/default-settings.js';
+import { normalizeSchedule, normalizeTimeZone, validateSchedule } from '../../shared/cron.js';
+import { listDisallowedAuthUrls, normalizeAuthProfile, validateAuthProfile } from '../../shared/auth-profile.js';
+import { normalizeAxeOptions, validateAxeOptions } from '../../shared/axe-rules.js';
+import { normalizeScanScope, validateScanScope } from '../../shared/scan-scope.js';
+import { normalizeUrlPatterns, validateUrlPatterns } from '../../shared/url-selection.js';
+import {
+  listViewportModes,
+  normalizeViewportProfiles,
+  validateViewportProfiles
+} from '../../shared/viewport-profiles.js';
+import {
+  DEFAULT_PROJECT_ID,
+  DEFAULT_PROJECT_NAME,
+  isValidProjectId,
+  toProjectList
+} from '../../shared/projects.js';
+
+export type ScheduleSettings = {
+  preset: (typeof SCHEDULE_PRESETS)[number];
+  time: string;
+  weekday: number;
+  dayOfMonth: number;
+  cron: string;
+};
+
+export type AuthEntry = {
+  name: string;
+  valueEnv: string;
+};
+
+export type AuthSettings = {
+  type: (typeof AUTH_TYPES)[number];
+  loginUrl: string;
+  usernameSelector: string;
+  passwordSelector: string;
+  submitSelector: string;
+  successSelector: string;
+  usernameEnv: string;
+  passwordEnv: string;
+  allowedOrigins: string[];
+  cookieDomain: string;
+  cookies: AuthEntry[];
+  headers: AuthEntry[];
+};
+
+export type ViewportProfile = {
+  id: string;
+  label: string;
+  width: number;
+  height: number;
+  deviceScaleFactor: number;
+  isMobile: boolean;
+  hasTouch: boolean;
+  userAgent: string;
+  colorScheme: string;
+  reducedMotion: boolean;
+  forcedColors: boolean;
+};
+
+export type AxeRunSettings = {
+  disabledRules: string[];
+  runOnly: string[];
+  resultTypes: string[];
+  iframes: boolean;
+  selectors: boolean;
+};
+
+export type ScanScopePattern = {
+  pattern: string;
+  include: string[];
+  exclude: string[];
+};
+
+export type ScanScope = {
+  include: string[];
+  exclude: string[];
+  patterns: ScanScopePattern[];
+};
 
 export type Settings = {
   sitemapUrl: string;
+  discovery: (typeof DISCOVERY_MODES)[number];
+  seedUrls: string[];
+  crawlDepth: number;
+  includePatterns: string[];
+  excludePatterns: string[];
+  urlOrder: (typeof URL_ORDERS)[number];
+  samplePerTemplate: number;
   tags: string[];
-  mode: (typeof ALLOWED_MODES)[number];
+  modes: string[];
+  viewportProfiles: ViewportProfile[];
   maxPages: number;
-  frequency: (typeof ALLOWED_FREQUENCIES)[number];
+  schedule: ScheduleSettings;
+  timezone: string;
+  scope: ScanScope;
+  axe: AxeRunSettings;
+  auth: AuthSettings;
+};
+
+export type Project = Settings & {
+  id: string;
+  name: string;
 };
 
 export type ValidationResult = {
@@ -25,17 +124,26 @@ export type ValidationResult = {
 
 const SETTINGS_FILE_PATH = path.resolve(process.cwd(), 'data', 'settings.json');
 
-const ensureSettingsStorage = async () => {
-  const dir = path.dirname(SETTINGS_FILE_PATH);
-  if (!existsSync(dir)) {
-    await mkdir(dir, { recursive: true });
-  }
+const createDefaultProject = (): Project => ({ id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, ...DEFAULT_SETTINGS });
 
-  if (!existsSync(SETTINGS_FILE_PATH)) {
-    await writeFile(SETTINGS_FILE_PATH, JSON.stringify(DEFAULT_SETTINGS, null, 2), 'utf-8');
-  }
+const writeProjects = async (projects: Project[]) => {
+  await writeFile(SETTINGS_FILE_PATH, JSON.stringify({ projects }, null, 2), 'utf-8');
 };
 
+/**
+ * Raised when `data/settings.json` exists but cannot be used as it is. The file is left untouched so nothing in it is
+ * lost; `details` lists what has to be fixed by hand.
+ */
+export class SettingsFileError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super('設定ファイル（data/settings.json）を読み込めません。');
+    this.name = 'SettingsFileError';
+    this.details = details;
+  }
+}
+
 const splitTags = (value: string): string[] =>
   value
     .split(',')
@@ -63,14 +171,48 @@ const normalizeTags = (raw: unknown): string[] => {
   return [];
 };
 
+const normalizeSeedUrls = (raw: unknown): string[] => {
+  const values = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(/\r?\n/) : [];
+  const seeds = values.map((value) => (typeof value === 'string' ? value.trim() : '')).filter(Boolean);
+  return [...new Set(seeds)];
+};
+
+/**
+ * Older settings files hold a single `mode` string instead of the `modes` list.
+ */
+const normalizeModes = (raw: unknown, legacyMode: unknown): string[] => {
+  const values = Array.isArray(raw) ? raw : typeof legacyMode === 'string' ? [legacyMode] : [];
+  const modes = values.map((mode) => (typeof mode === 'string' ? mode.trim().toLowerCase() : '')).filter(Boolean);
+  return modes.length > 0 ? [...new Set(modes)] : [...DEFAULT_SETTINGS.modes];
+};
+
 const normalizeSettings = (raw: Partial<Settings>): Settings => {
   const sitemapUrl = typeof raw.sitemapUrl === 'string' ? raw.sitemapUrl.trim() : DEFAULT_SETTINGS.sitemapUrl;
 
+  const discovery = (
+    typeof raw.discovery === 'string' ? raw.discovery.trim().toLowerCase() : DEFAULT_SETTINGS.discovery
+  ) as Settings['discovery'];
+  const seedUrls = normalizeSeedUrls(raw.seedUrls);
+  const numericCrawlDepth =
+    typeof raw.crawlDepth === 'number' ? raw.crawlDepth : Number.parseInt(String(raw.crawlDepth ?? ''), 10);
+  const crawlDepth = Number.isFinite(numericCrawlDepth) ? numericCrawlDepth : DEFAULT_SETTINGS.crawlDepth;
+
+  const includePatterns = normalizeUrlPatterns(raw.includePatterns);
+  const excludePatterns = normalizeUrlPatterns(raw.excludePatterns);
+  const urlOrder = (
+    typeof raw.urlOrder === 'string' ? raw.urlOrder.trim().toLowerCase() : DEFAULT_SETTINGS.urlOrder
+  ) as Settings['urlOrder'];
+  const numericSample =
+    typeof raw.samplePerTemplate === 'number'
+      ? raw.samplePerTemplate
+      : Number.parseInt(String(raw.samplePerTemplate ?? ''), 10);
+  const samplePerTemplate = Number.isFinite(numericSample) ? numericSample : DEFAULT_SETTINGS.samplePerTemplate;
+
   const rawTags = normalizeTags(raw.tags ?? (raw as unknown as { tag?: string })?.tag);
   const tags = rawTags.length > 0 ? rawTags : DEFAULT_SETTINGS.tags;
 
-  const rawMode = typeof raw.mode === 'string' ? raw.mode.trim().toLowerCase() : DEFAULT_SETTINGS.mode;
-  const mode = ALLOWED_MODES.includes(rawMode as Settings['mode']) ? (rawMode as Settings['mode']) : DEFAULT_SETTINGS.mode;
+  const modes = normalizeModes(raw.modes, (raw as { mode?: unknown }).mode);
+  const viewportProfiles = normalizeViewportProfiles(raw.viewportProfiles) as ViewportProfile[];
 
   const numericMaxPages = typeof raw.maxPages === 'number' ? raw.maxPages : Number.parseInt(String(raw.maxPages ?? ''), 10);
   const maxPages =
@@ -78,35 +220,94 @@ const normalizeSettings = (raw: Partial<Settings>): Settings => {
       ? Math.floor(numericMaxPages)
       : DEFAULT_SETTINGS.maxPages;
 
-  const rawFrequency =
-    typeof raw.frequency === 'string' ? raw.frequency.trim().toLowerCase() : DEFAULT_SETTINGS.frequency;
-  const frequency = ALLOWED_FREQUENCIES.includes(rawFrequency as Settings['frequency'])
-    ? (rawFrequency as Settings['frequency'])
-    : DEFAULT_SETTINGS.frequency;
+  const schedule = normalizeSchedule(raw.schedule, (raw as { frequency?: unknown }).frequency) as ScheduleSettings;
+  const timezone = normalizeTimeZone(raw.timezone);
+  const scope = normalizeScanScope(raw.scope) as ScanScope;
+  const axe = normalizeAxeOptions(raw.axe) as AxeRunSettings;
+  const auth = normalizeAuthProfile(raw.auth) as AuthSettings;
 
   return {
     sitemapUrl,
+    discovery,
+    seedUrls,
+    crawlDepth,
+    includePatterns,
+    excludePatterns,
+    urlOrder,
+    samplePerTemplate,
     tags,
-    mode,
+    modes,
+    viewportProfiles,
     maxPages,
-    frequency
+    schedule,
+    timezone,
+    scope,
+    axe,
+    auth
   };
 };
 
 const validateSettingsValue = (value: Settings): string[] => {
   const errors: string[] = [];
 
+  // Besides sitemap files (XML, gzip or plain text), a robots.txt or site URL is accepted and resolved at run time.
   if (value.sitemapUrl) {
     try {
       const parsed = new URL(value.sitemapUrl);
-      if (!parsed.pathname.endsWith('.xml')) {
-        errors.push('sitemapUrl は .xml で終わる URL を指定してください。');
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        errors.push('sitemapUrl は http または https の URL を指定してください。');
       }
     } catch (error) {
       errors.push('sitemapUrl が正しい URL 形式ではありません。');
     }
   }
 
+  if (!DISCOVERY_MODES.includes(value.discovery)) {
+    errors.push(`discovery は ${DISCOVERY_MODES.join(' / ')} のいずれかを指定してください。`);
+  }
+
+  if (value.discovery === 'crawl' && value.seedUrls.length === 0) {
+    errors.push('クロールを開始する URL を1件以上指定してください。');
+  }
+  if (value.seedUrls.length > MAX_SEED_URLS) {
+    errors.push(`クロールを開始する URL は ${MAX_SEED_URLS} 件以内で指定してください。`);
+  }
+  for (const seed of value.seedUrls) {
+    try {
+      const parsed = new URL(seed);
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error('Unsupported protocol');
+      }
+    } catch {
+      errors.push(`クロールを開始する URL（${seed}）は http または https の URL で指定してください。`);
+    }
+  }
+
+  if (
+    !Number.isInteger(value.crawlDepth) ||
+    value.crawlDepth < CRAWL_DEPTH_LIMIT.min ||
+    value.crawlDepth > CRAWL_DEPTH_LIMIT.max
+  ) {
+    errors.push(`crawlDepth は ${CRAWL_DEPTH_LIMIT.min} から ${CRAWL_DEPTH_LIMIT.max} の整数で指定してください。`);
+  }
+
+  errors.push(...validateUrlPatterns(value.includePatterns, '対象にする URL のパターン'));
+  errors.push(...validateUrlPatterns(value.excludePatterns, '除外する URL のパターン'));
+
+  if (!URL_ORDERS.includes(value.urlOrder)) {
+    errors.push(`urlOrder は ${URL_ORDERS.join(' / ')} のいずれかを指定してください。`);
+  }
+
+  if (
+    !Number.isInteger(value.samplePerTemplate) ||
+    value.samplePerTemplate < SAMPLE_PER_TEMPLATE_LIMIT.min ||
+    value.samplePerTemplate > SAMPLE_PER_TEMPLATE_LIMIT.max
+  ) {
+    errors.push(
+      `samplePerTemplate は ${SAMPLE_PER_TEMPLATE_LIMIT.min} から ${SAMPLE_PER_TEMPLATE_LIMIT.max} の整数で指定してください。`
+    );
+  }
+
   const filteredTags = value.tags.filter((tag) => ALLOWED_TAGS.includes(tag));
   if (filteredTags.length === 0) {
     errors.push(`タグは ${ALLOWED_TAGS.join(', ')} のいずれかを選択してください。`);
@@ -116,8 +317,11 @@ const validateSettingsValue = (value: Settings): string[] => {
     value.tags = filteredTags;
   }
 
-  if (!ALLOWED_MODES.includes(value.mode)) {
-    errors.push(`mode は ${ALLOWED_MODES.join(' / ')} のいずれかを指定してください。`);
+  errors.push(...validateViewportProfiles(value.viewportProfiles));
+  const viewportModes = listViewportModes(value.viewportProfiles);
+  const unknownModes = value.modes.filter((mode) => !viewportModes.includes(mode));
+  if (unknownModes.length > 0) {
+    errors.push(`modes に存在しないモード（${unknownModes.join(', ')}）が指定されています。`);
   }
 
   if (
@@ -128,31 +332,117 @@ const validateSettingsValue = (value: Settings): string[] => {
     errors.push(`maxPages は ${MAX_PAGE_LIMIT.min} から ${MAX_PAGE_LIMIT.max} の整数で指定してください。`);
   }
 
-  if (!ALLOWED_FREQUENCIES.includes(value.frequency)) {
-    errors.push(`frequency は ${ALLOWED_FREQUENCIES.join(' / ')} のいずれかを指定してください。`);
+  errors.push(...validateSchedule(value.schedule, value.timezone));
+  errors.push(...validateScanScope(value.scope));
+  errors.push(...validateAxeOptions(value.axe));
+  const authErrors = validateAuthProfile(value.auth);
+  errors.push(...authErrors);
+  // The crawled pages are tested with the credentials, so the crawl has to start on an allowed origin.
+  const disallowedSeeds = authErrors.length === 0 ? listDisallowedAuthUrls(value.auth, value.seedUrls) : [];
+  if (value.discovery === 'crawl' && disallowedSeeds.length > 0) {
+    errors.push(`クロールを開始する URL（${disallowedSeeds.join(', ')}）は、認証情報を送信するオリジンに含まれていません。`);
   }
 
   return errors;
 };
 
-export const readSettings = async (): Promise<Settings> => {
-  await ensureSettingsStorage();
+const normalizeProjectName = (value: unknown, fallback: string): string =>
+  typeof value === 'string' && value.trim() ? value.trim().slice(0, 80) : fallback;
 
+/**
+ * Returns the project, or the problems that keep it from being loaded.
+ */
+const normalizeProject = (raw: Partial<Project>): { project: Project | null; errors: string[] } => {
+  if (!isValidProjectId(raw.id)) {
+    return { project: null, errors: [`プロジェクト ID（${String(raw.id ?? '')}）の形式が正しくありません。`] };
+  }
+
+  const settings = normalizeSettings(raw);
+  const errors = validateSettingsValue({ ...settings });
+  if (errors.length > 0) {
+    return { project: null, errors: errors.map((error) => `プロジェクト「${raw.id}」: ${error}`) };
+  }
+
+  return { project: { id: raw.id as string, name: normalizeProjectName(raw.name, raw.id as string), ...settings }, errors: [] };
+};
+
+/**
+ * The default project is only created when the settings file does not exist yet. A file that cannot be read or
+ * holds an invalid project raises a SettingsFileError instead of being replaced.
+ */
+export const readProjects = async (): Promise<Project[]> => {
+  let content: string;
+  try {
+    content = await readFile(SETTINGS_FILE_PATH, 'utf-8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+      throw error;
+    }
+    const projects = [createDefaultProject()];
+    await mkdir(path.dirname(SETTINGS_FILE_PATH), { recursive: true });
+    await writeProjects(projects);
+    return projects;
+  }
+
+  let raw: unknown;
   try {
-    const content = await readFile(SETTINGS_FILE_PATH, 'utf-8');
-    const parsed = JSON.parse(content) as Partial<Settings>;
-    const normalized = normalizeSettings(parsed);
-    const errors = validateSettingsValue({ ...normalized });
+    raw = JSON.parse(content);
+  } catch {
+    throw new SettingsFileError(['JSON の形式が正しくありません。']);
+  }
 
-    if (errors.length > 0) {
-      throw new Error(errors.join('\n'));
+  const projects: Project[] = [];
+  const errors: string[] = [];
+  for (const entry of toProjectList(raw) as Partial<Project>[]) {
+    const result = normalizeProject(entry);
+    if (result.project) {
+      projects.push(result.project);
     }
+    errors.push(...result.errors);
+  }
 
-    return normalized;
-  } catch (error) {
-    await writeFile(SETTINGS_FILE_PATH, JSON.stringify(DEFAULT_SETTINGS, null, 2), 'utf-8');
-    return { ...DEFAULT_SETTINGS };
+  if (errors.length === 0 && projects.length === 0) {
+    errors.push('プロジェクトが1件も定義されていません。');
+  }
+  if (errors.length > 0) {
+    throw new SettingsFileError(errors);
+  }
+
+  return projects;
+};
+
+export const readProject = async (projectId: string = DEFAULT_PROJECT_ID): Promise<Project | null> => {
+  const projects = await readProjects();
+  return projects.find((project) => project.id === projectId) ?? null;
+};
+
+export type ProjectLookup =
+  | { project: Project; error: null }
+  | { project: null; error: { status: 400 | 404; message: string } };
+
+/**
+ * Resolves the project an API request is scoped to. The id also names the project's data files, so a malformed id is
+ * refused before anything is read. Routes answer with `error.status` and `error.message` when there is no project.
+ */
+export const lookupProject = async (projectId: string): Promise<ProjectLookup> => {
+  if (!isValidProjectId(projectId)) {
+    return { project: null, error: { status: 400, message: 'プロジェクト ID の形式が正しくありません。' } };
+  }
+  const project = await readProject(projectId);
+  if (!project) {
+    return { project: null, error: { status: 404, message: '指定したプロジェクトは見つかりません。' } };
+  }
+  return { project, error: null };
+};
+
+export const readSettings = async (projectId: string = DEFAULT_PROJECT_ID): Promise<Settings> => {
+  const project = await readProject(projectId);
+  if (!project) {
+    throw new Error(`Project not found: ${projectId}`);
   }
+
+  const { id: _id, name: _name, ...settings } = project;
+  return settings;
 };
 
 export const validateSettings = (payload: Partial<Settings>): ValidationResult => {
@@ -166,8 +456,13 @@ export const validateSettings = (payload: Partial<Settings>): ValidationResult =
   };
 };
 
-export const saveSettings = async (payload: Partial<Settings>): Promise<Settings> => {
-  await ensureSettingsStorage();
+export const saveSettings = async (payload: Partial<Project>, projectId: string = DEFAULT_PROJECT_ID): Promise<Settings> => {
+  const projects = await readProjects();
+  const target = projects.find((project) => project.id === projectId);
+
+  if (!target) {
+    throw new Error(`Project not found: ${projectId}`);
+  }
 
   const { valid, errors, value } = validateSettings(payload);
 
@@ -177,8 +472,49 @@ export const saveSettings = async (payload: Partial<Settings>): Promise<Settings
     throw error;
   }
 
-  await writeFile(SETTINGS_FILE_PATH, JSON.stringify(value, null, 2), 'utf-8');
+  const name = normalizeProjectName(payload.name, target.name);
+  await writeProjects(projects.map((project) => (project.id === projectId ? { id: project.id, name, ...value } : project)));
   return value;
 };
 
+export const createProject = async (payload: Partial<Project>): Promise<Project> => {
+  const projects = await readProjects();
+  const id = typeof payload.id === 'string' ? payload.id.trim().toLowerCase() : '';
+  const errors: string[] = [];
+
+  if (!isValidProjectId(id)) {
+    errors.push('プロジェクト ID は半角英小文字・数字・ハイフンで 40 文字以内で指定してください。');
+  } else if (projects.some((project) => project.id === id)) {
+    errors.push('同じプロジェクト ID が既に存在します。');
+  }
+
+  const validation = validateSettings(payload);
+  errors.push(...validation.errors);
+
+  if (errors.length > 0) {
+    const error = new Error('設定値にエラーがあります。');
+    (error as Error & { details?: string[] }).details = errors;
+    throw error;
+  }
+
+  const project: Project = { id, name: normalizeProjectName(payload.name, id), ...validation.value };
+  await writeProjects([...projects, project]);
+  return project;
+};
+
+export const deleteProject = async (projectId: string): Promise<boolean> => {
+  if (projectId === DEFAULT_PROJECT_ID) {
+    throw new Error('デフォルトプロジェクトは削除できません。');
+  }
+
+  const projects = await readProjects();
+  const remaining = projects.filter((project) => project.id !== projectId);
+  if (remaining.length === projects.length) {
+    return false;
+  }
+
+  await writeProjects(remaining);
+  return true;
+};
+
 export { SETTINGS_FILE_PATH };
@@ -0,0 +1,103 @@
+import { randomUUID } from 'node:crypto';
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { DEFAULT_PROJECT_ID, suppressionsFilenameFor } from '../../shared/projects.js';
+import { normalizeSuppressionInput, validateSuppressionInput } from '../../shared/suppressions.js';
+
+export type SuppressionStatus = 'accepted' | 'false-positive';
+
+export type Suppression = {
+  id: string;
+  ruleId: string;
+  /** Target selector as `formatNodeTarget` writes it; null suppresses every node of the rule. */
+  target: string | null;
+  /** URL pattern the suppression is limited to; null applies it on every page. */
+  urlPattern: string | null;
+  status: SuppressionStatus;
+  reason: string;
+  author: string;
+  /** Last day (YYYY-MM-DD) the suppression is in effect; null never expires. */
+  expiresAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+};
+
+type SuppressionInput = Partial<Record<'ruleId' | 'target' | 'urlPattern' | 'status' | 'reason' | 'author' | 'expiresAt', unknown>>;
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+
+export class SuppressionValidationError extends Error {
+  details: string[];
+
+  constructor(details: string[]) {
+    super('抑制の設定にエラーがあります。');
+    this.name = 'SuppressionValidationError';
+    this.details = details;
+  }
+}
+
+const filePathFor = (projectId: string) => path.join(DATA_DIR, suppressionsFilenameFor(projectId));
+
+export const readSuppressions = async (projectId: string = DEFAULT_PROJECT_ID): Promise<Suppression[]> => {
+  try {
+    const parsed = JSON.parse(await readFile(filePathFor(projectId), 'utf-8')) as { suppressions?: unknown };
+    if (!parsed || !Array.isArray(parsed.suppressions)) {
+      return [];
+    }
+    return parsed.suppressions.filter(
+      (entry): entry is Suppression => Boolean(entry) && typeof entry.id === 'string' && typeof entry.ruleId === 'string'
+    );
+  } catch {
+    return [];
+  }
+};
+
+const writeSuppressions = async (suppressions: Suppression[], projectId: string) => {
+  await mkdir(DATA_DIR, { recursive: true });
+  await writeFile(filePathFor(projectId), JSON.stringify({ suppressions }, null, 2), 'utf-8');
+};
+
+const toValidatedInput = (input: SuppressionInput) => {
+  const value = normalizeSuppressionInput(input);
+  const errors = validateSuppressionInput(value);
+  if (errors.length > 0) {
+    throw new SuppressionValidationError(errors);
+  }
+  return value as Omit<Suppression, 'id' | 'createdAt' | 'updatedAt'>;
+};
+
+export const createSuppression = async (projectId: string, input: SuppressionInput): Promise<Suppression> => {
+  const value = toValidatedInput(input);
+  const now = new Date().toISOString();
+  const suppression: Suppression = { id: randomUUID(), ...value, createdAt: now, updatedAt: now };
+
+  await writeSuppressions([...(await readSuppressions(projectId)), suppression], projectId);
+  return suppression;
+};
+
+/**
+ * Fields missing from `input` keep their current value. Returns null when the suppression does not exist.
+ */
+export const updateSuppression = async (projectId: string, id: string, input: SuppressionInput): Promise<Suppression | null> => {
+  const suppressions = await readSuppressions(projectId);
+  const index = suppressions.findIndex((entry) => entry.id === id);
+  if (index === -1) return null;
+
+  const current = suppressions[index];
+  const defined = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+  const value = toValidatedInput({ ...current, ...defined });
+  const suppression: Suppression = { ...current, ...value, updatedAt: new Date().toISOString() };
+
+  suppressions[index] = suppression;
+  await writeSuppressions(suppressions, projectId);
+  return suppression;
+};
+
+export const deleteSuppression = async (projectId: string, id: string): Promise<boolean> => {
+  const suppressions = await readSuppressions(projectId);
+  const remaining = suppressions.filter((entry) => entry.id !== id);
+  if (remaining.length === suppressions.length) return false;
+
+  await writeSuppressions(remaining, projectId);
+  return true;
+};
@@ -0,0 +1,193 @@
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { findUserById, hasRole, toSessionUser } from "./users";
+import type { SessionUser, UserRole } from "./users";
+
+export const TOKEN_SCOPES = ["read", "read-write"] as const;
+
+export type TokenScope = (typeof TOKEN_SCOPES)[number];
+
+export type TokenRecord = {
+	id: string;
+	name: string;
+	scope: TokenScope;
+	userId: string;
+	tokenHash: string;
+	prefix: string;
+	createdAt: string;
+	lastUsedAt: string | null;
+};
+
+export type PublicToken = Omit<TokenRecord, "tokenHash">;
+
+const TOKENS_FILE_PATH = path.resolve(process.cwd(), "data", "tokens.json");
+const TOKEN_PREFIX = "aar_";
+const MAX_NAME_LENGTH = 100;
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token: string): string => createHash("sha256").update(token).digest("hex");
+
+const isTokenScope = (value: unknown): value is TokenScope => typeof value === "string" && (TOKEN_SCOPES as readonly string[]).includes(value);
+
+/**
+ * A missing file is an empty store. A file that cannot be read or parsed throws instead, so the next write does not
+ * replace it and drop every token.
+ */
+const readTokenStore = async (): Promise<TokenRecord[]> => {
+	let content: string;
+	try {
+		content = await readFile(TOKENS_FILE_PATH, "utf-8");
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+			return [];
+		}
+		throw error;
+	}
+
+	let parsed: { tokens?: unknown };
+	try {
+		parsed = JSON.parse(content) as { tokens?: unknown };
+	} catch (error) {
+		throw new Error(`${TOKENS_FILE_PATH} is not valid JSON.`, { cause: error });
+	}
+	if (!parsed || !Array.isArray(parsed.tokens)) {
+		throw new Error(`${TOKENS_FILE_PATH} does not contain a "tokens" list.`);
+	}
+	return parsed.tokens.filter(
+		(token): token is TokenRecord =>
+			Boolean(token) && typeof token.id === "string" && typeof token.tokenHash === "string" && typeof token.userId === "string" && isTokenScope(token.scope),
+	);
+};
+
+const writeTokenStore = async (tokens: TokenRecord[]): Promise<void> => {
+	await mkdir(path.dirname(TOKENS_FILE_PATH), { recursive: true });
+	await writeFile(TOKENS_FILE_PATH, JSON.stringify({ tokens }, null, 2), "utf-8");
+};
+
+let storeQueue: Promise<unknown> = Promise.resolve();
+
+/**
+ * Runs read-modify-write cycles on the store one at a time, each on a fresh read of the file, so a `lastUsedAt` update
+ * cannot bring back a token revoked in the meantime or drop one that was just created. `update` returns the tokens to
+ * write, or null to leave the file as it is.
+ */
+const updateTokenStore = <T>(update: (tokens: TokenRecord[]) => { tokens: TokenRecord[] | null; result: T }): Promise<T> => {
+	const run = storeQueue.then(async () => {
+		const { tokens, result } = update(await readTokenStore());
+		if (tokens) {
+			await writeTokenStore(tokens);
+		}
+		return result;
+	});
+	storeQueue = run.catch(() => undefined);
+	return run;
+};
+
+export const toPublicToken = ({ tokenHash: _tokenHash, ...token }: TokenRecord): PublicToken => token;
+
+/**
+ * Lists every token for admins and only the caller's own tokens for everyone else.
+ */
+export const listTokens = async (requester: SessionUser): Promise<PublicToken[]> => {
+	const tokens = await readTokenStore();
+	const visible = hasRole(requester, "admin") ? tokens : tokens.filter((token) => token.userId === requester.id);
+	return visible.map(toPublicToken);
+};
+
+export class TokenValidationError extends Error {
+	details: string[];
+
+	constructor(details: string[]) {
+		super("API トークンの情報にエラーがあります。");
+		this.name = "TokenValidationError";
+		this.details = details;
+	}
+}
+
+/**
+ * Returns the plain token exactly once; only its SHA-256 hash is persisted.
+ */
+export const createToken = async (owner: SessionUser, input: { name?: unknown; scope?: unknown }): Promise<{ token: string; record: PublicToken }> => {
+	const errors: string[] = [];
+	const name = typeof input.name === "string" ? input.name.trim() : "";
+
+	if (!name || name.length > MAX_NAME_LENGTH) {
+		errors.push(`トークン名は 1〜${MAX_NAME_LENGTH} 文字で指定してください。`);
+	}
+
+	if (!isTokenScope(input.scope)) {
+		errors.push(`スコープは ${TOKEN_SCOPES.join(" / ")} のいずれかを指定してください。`);
+	}
+
+	if (errors.length > 0) {
+		throw new TokenValidationError(errors);
+	}
+
+	const token = `${TOKEN_PREFIX}${randomBytes(32).toString("base64url")}`;
+	const record: TokenRecord = {
+		id: randomUUID(),
+		name,
+		scope: input.scope as TokenScope,
+		userId: owner.id,
+		tokenHash: hashToken(token),
+		prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+		createdAt: new Date().toISOString(),
+		lastUsedAt: null,
+	};
+
+	await updateTokenStore((tokens) => ({ tokens: [...tokens, record], result: undefined }));
+	return { token, record: toPublicToken(record) };
+};
+
+/**
+ * Owners can revoke their own tokens and admins can revoke any token. Returns null when the token does not exist.
+ */
+export const revokeToken = (id: string, requester: SessionUser): Promise<boolean | null> =>
+	updateTokenStore<boolean | null>((tokens) => {
+		const target = tokens.find((token) => token.id === id);
+		if (!target) return { tokens: null, result: null };
+
+		if (target.userId !== requester.id && !hasRole(requester, "admin")) {
+			return { tokens: null, result: false };
+		}
+
+		return { tokens: tokens.filter((token) => token.id !== id), result: true };
+	});
+
+export const readBearerToken = (request: Request): string | null => {
+	const header = request.headers.get("authorization") ?? "";
+	const match = header.match(/^Bearer\s+(\S+)$/i);
+	return match ? match[1] : null;
+};
+
+/**
+ * Resolves a bearer token to its owner. A `read` token is capped at the viewer role regardless of the owner's role.
+ */
+export const authenticateToken = async (token: string): Promise<{ user: SessionUser; scope: TokenScope } | null> => {
+	if (!token.startsWith(TOKEN_PREFIX)) {
+		return null;
+	}
+
+	const tokens = await readTokenStore();
+	const tokenHash = hashToken(token);
+	const record = tokens.find((entry) => entry.tokenHash === tokenHash);
+	if (!record) return null;
+
+	const owner = await findUserById(record.userId);
+	if (!owner) return null;
+
+	const now = Date.now();
+	const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+	if (now - lastUsed >= LAST_USED_WRITE_INTERVAL_MS) {
+		await updateTokenStore((current) => {
+			const entry = current.find((token) => token.id === record.id);
+			if (!entry) return { tokens: null, result: undefined };
+			entry.lastUsedAt = new Date(now).toISOString();
+			return { tokens: current, result: undefined };
+		});
+	}
+
+	const role: UserRole = record.scope === "read" ? "viewer" : owner.role;
+	return { user: { ...toSessionUser(owner), role }, scope: record.scope };
+};
@@ -0,0 +1,57 @@
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { DEFAULT_PROJECT_ID, urlListFilenameFor, urlListOverridesFilenameFor } from '../../shared/projects.js';
+import { normalizeUrlListOverrides, validateUrlListOverrides } from '../../shared/url-list.js';
+import type { AuthSettings } from './settings';
+
+export type UrlListOverrides = {
+  manual: string[];
+  pinned: string[];
+  excluded: string[];
+};
+
+export type UrlListValidationResult = {
+  valid: boolean;
+  errors: string[];
+  value: UrlListOverrides;
+};
+
+const DATA_DIR = path.resolve(process.cwd(), 'data');
+
+export const readUrlListOverrides = async (projectId: string = DEFAULT_PROJECT_ID): Promise<UrlListOverrides> => {
+  try {
+    const content = await readFile(path.join(DATA_DIR, urlListOverridesFilenameFor(projectId)), 'utf-8');
+    return normalizeUrlListOverrides(JSON.parse(content));
+  } catch {
+    return normalizeUrlListOverrides(null);
+  }
+};
+
+/**
+ * Returns the URL list as `generate-url-list.mjs` last wrote it, overrides already merged in.
+ */
+export const readCurrentUrlList = async (projectId: string = DEFAULT_PROJECT_ID): Promise<string[]> => {
+  try {
+    const content = await readFile(path.join(DATA_DIR, urlListFilenameFor(projectId)), 'utf-8');
+    return content
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+};
+
+export const validateUrlListPayload = (payload: unknown, auth: AuthSettings | null = null): UrlListValidationResult => {
+  const value = normalizeUrlListOverrides(payload);
+  const errors = validateUrlListOverrides(value, auth);
+  return { valid: errors.length === 0, errors, value };
+};
+
+export const saveUrlListOverrides = async (value: UrlListOverrides, projectId: string = DEFAULT_PROJECT_ID) => {
+  if (!existsSync(DATA_DIR)) {
+    await mkdir(DATA_DIR, { recursive: true });
+  }
+  await writeFile(path.join(DATA_DIR, urlListOverridesFilenameFor(projectId)), JSON.stringify(value, null, 2), 'utf-8');
+};
@@ -0,0 +1,268 @@
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+export const USER_ROLES = ["viewer", "editor", "admin"] as const;
+
+export type UserRole = (typeof USER_ROLES)[number];
+
+export type UserRecord = {
+	id: string;
+	username: string;
+	role: UserRole;
+	passwordHash: string;
+	createdAt: string;
+	updatedAt: string;
+};
+
+export type PublicUser = Omit<UserRecord, "passwordHash">;
+
+export type SessionUser = Pick<UserRecord, "id" | "username" | "role">;
+
+const USERS_FILE_PATH = path.resolve(process.cwd(), "data", "users.json");
+const USERNAME_PATTERN = /^[A-Za-z0-9._@-]{3,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 } as const;
+const SCRYPT_KEY_LENGTH = 64;
+
+const deriveKey = (password: string, salt: Buffer, params: { N: number; r: number; p: number }): Promise<Buffer> =>
+	new Promise((resolve, reject) => {
+		scrypt(password, salt, SCRYPT_KEY_LENGTH, { ...params, maxmem: 64 * 1024 * 1024 }, (error, key) => {
+			if (error) {
+				reject(error);
+			} else {
+				resolve(key);
+			}
+		});
+	});
+
+/**
+ * Hashes are stored as `scrypt$N$r$p$salt$key` so the cost parameters can be raised later without invalidating old records.
+ */
+export const hashPassword = async (password: string): Promise<string> => {
+	const salt = randomBytes(16);
+	const key = await deriveKey(password, salt, SCRYPT_PARAMS);
+	return ["scrypt", SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p, salt.toString("base64url"), key.toString("base64url")].join("$");
+};
+
+export const verifyPassword = async (password: string, stored: string): Promise<boolean> => {
+	const [algorithm, n, r, p, salt, key] = stored.split("$");
+	if (algorithm !== "scrypt" || !salt || !key) {
+		return false;
+	}
+
+	try {
+		const expected = Buffer.from(key, "base64url");
+		const derived = await deriveKey(password, Buffer.from(salt, "base64url"), {
+			N: Number.parseInt(n, 10),
+			r: Number.parseInt(r, 10),
+			p: Number.parseInt(p, 10),
+		});
+		return derived.length === expected.length && timingSafeEqual(derived, expected);
+	} catch {
+		return false;
+	}
+};
+
+const isUserRole = (value: unknown): value is UserRole => typeof value === "string" && (USER_ROLES as readonly string[]).includes(value);
+
+/**
+ * Only a missing file counts as an empty store. An unreadable or malformed file throws instead, because an empty store
+ * lets the `ADMIN_USERNAME` login recreate the store and would wipe every account in it.
+ */
+const readUserStore = async (): Promise<UserRecord[]> => {
+	let content: string;
+	try {
+		content = await readFile(USERS_FILE_PATH, "utf-8");
+	} catch (error) {
+		if ((error as NodeJS.ErrnoException).code === "ENOENT") {
+			return [];
+		}
+		throw error;
+	}
+
+	let parsed: { users?: unknown };
+	try {
+		parsed = JSON.parse(content) as { users?: unknown };
+	} catch (error) {
+		throw new Error(`${USERS_FILE_PATH} is not valid JSON.`, { cause: error });
+	}
+	if (!parsed || !Array.isArray(parsed.users)) {
+		throw new Error(`${USERS_FILE_PATH} does not contain a "users" list.`);
+	}
+	return parsed.users.filter(
+		(user): user is UserRecord =>
+			Boolean(user) &&
+			typeof user.id === "string" &&
+			typeof user.username === "string" &&
+			typeof user.passwordHash === "string" &&
+			isUserRole(user.role),
+	);
+};
+
+const writeUserStore = async (users: UserRecord[]): Promise<void> => {
+	await mkdir(path.dirname(USERS_FILE_PATH), { recursive: true });
+	await writeFile(USERS_FILE_PATH, JSON.stringify({ users }, null, 2), "utf-8");
+};
+
+export const toPublicUser = ({ passwordHash: _passwordHash, ...user }: UserRecord): PublicUser => user;
+
+export const toSessionUser = ({ id, username, role }: UserRecord): SessionUser => ({ id, username, role });
+
+export const hasRole = (user: SessionUser | null | undefined, required: UserRole): boolean => {
+	if (!user) return false;
+	return USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(required);
+};
+
+export const hasUsers = async (): Promise<boolean> => (await readUserStore()).length > 0;
+
+export const listUsers = async (): Promise<PublicUser[]> => (await readUserStore()).map(toPublicUser);
+
+export const findUserById = async (id: string): Promise<UserRecord | null> => {
+	const users = await readUserStore();
+	return users.find((user) => user.id === id) ?? null;
+};
+
+const DUMMY_HASH_PROMISE = hashPassword(randomUUID());
+
+export const authenticateUser = async (username: string, password: string): Promise<UserRecord | null> => {
+	const users = await readUserStore();
+	const user = users.find((entry) => entry.username === username);
+
+	if (!user) {
+		// Spend the same scrypt cost for unknown usernames so response timing does not reveal which accounts exist.
+		await verifyPassword(password, await DUMMY_HASH_PROMISE);
+		return null;
+	}
+
+	return (await verifyPassword(password, user.passwordHash)) ? user : null;
+};
+
+export class UserValidationError extends Error {
+	details: string[];
+
+	constructor(details: string[]) {
+		super("ユーザー情報にエラーがあります。");
+		this.name = "UserValidationError";
+		this.details = details;
+	}
+}
+
+type UserInput = {
+	username?: unknown;
+	password?: unknown;
+	role?: unknown;
+};
+
+const validatePassword = (password: unknown, errors: string[]): password is string => {
+	if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+		errors.push(`パスワードは ${MIN_PASSWORD_LENGTH} 文字以上で指定してください。`);
+		return false;
+	}
+	return true;
+};
+
+export const createUser = async (input: UserInput): Promise<PublicUser> => {
+	const users = await readUserStore();
+	const errors: string[] = [];
+	const username = typeof input.username === "string" ? input.username.trim() : "";
+
+	if (!USERNAME_PATTERN.test(username)) {
+		errors.push("ユーザー名は半角英数字と . _ @ - で 3〜64 文字で指定してください。");
+	} else if (users.some((user) => user.username === username)) {
+		errors.push("同じユーザー名が既に登録されています。");
+	}
+
+	validatePassword(input.password, errors);
+
+	if (!isUserRole(input.role)) {
+		errors.push(`権限は ${USER_ROLES.join(" / ")} のいずれかを指定してください。`);
+	}
+
+	if (errors.length > 0) {
+		throw new UserValidationError(errors);
+	}
+
+	const now = new Date().toISOString();
+	const user: UserRecord = {
+		id: randomUUID(),
+		username,
+		role: input.role as UserRole,
+		passwordHash: await hashPassword(input.password as string),
+		createdAt: now,
+		updatedAt: now,
+	};
+
+	await writeUserStore([...users, user]);
+	return toPublicUser(user);
+};
+
+const countAdmins = (users: UserRecord[]) => users.filter((user) => user.role === "admin").length;
+
+export const updateUser = async (id: string, input: UserInput): Promise<PublicUser | null> => {
+	const users = await readUserStore();
+	const target = users.find((user) => user.id === id);
+	if (!target) return null;
+
+	const errors: string[] = [];
+	const next: UserRecord = { ...target };
+
+	if (input.role !== undefined) {
+		if (!isUserRole(input.role)) {
+			errors.push(`権限は ${USER_ROLES.join(" / ")} のいずれかを指定してください。`);
+		} else {
+			next.role = input.role;
+		}
+	}
+
+	if (input.password !== undefined && input.password !== "" && validatePassword(input.password, errors)) {
+		next.passwordHash = await hashPassword(input.password);
+	}
+
+	if (target.role === "admin" && next.role !== "admin" && countAdmins(users) <= 1) {
+		errors.push("最後の管理者の権限は変更できません。");
+	}
+
+	if (errors.length > 0) {
+		throw new UserValidationError(errors);
+	}
+
+	next.updatedAt = new Date().toISOString();
+	await writeUserStore(users.map((user) => (user.id === id ? next : user)));
+	return toPublicUser(next);
+};
+
+export const deleteUser = async (id: string): Promise<boolean> => {
+	const users = await readUserStore();
+	const target = users.find((user) => user.id === id);
+	if (!target) return false;
+
+	if (target.role === "admin" && countAdmins(users) <= 1) {
+		throw new UserValidationError(["最後の管理者は削除できません。"]);
+	}
+
+	await writeUserStore(users.filter((user) => user.id !== id));
+	return true;
+};
+
+/**
+ * Seeds the store with the `ADMIN_USERNAME`/`ADMIN_PASSWORD` account on first login so existing env-based setups keep working.
+ */
+export const bootstrapAdminUser = async (username: string, password: string): Promise<UserRecord> => {
+	if ((await readUserStore()).length > 0) {
+		throw new Error("The admin account can only be bootstrapped into an empty user store.");
+	}
+
+	const now = new Date().toISOString();
+	const user: UserRecord = {
+		id: randomUUID(),
+		username,
+		role: "admin",
+		passwordHash: await hashPassword(password),
+		createdAt: now,
+		updatedAt: now,
+	};
+	await writeUserStore([user]);
+	return user;
+};